@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+// d1-migrate: one entry point for exporting MySQL, testing the SQL locally and
+// loading it into Cloudflare D1. Flags override the matching environment variables
+// and d1-migrate.config settings for a single run.
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { loadMigrationConfig } = require('./migration-config');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_VERIFY_FAILED = 3;
+
+class UsageError extends Error {
+    constructor(message, commandName) {
+        super(message);
+        this.commandName = commandName;
+    }
+}
+
+const FLAGS = {
+    'mysql-url': { type: 'string', value: '<url>', env: 'MYSQL_URL', help: 'MySQL source URL (MYSQL_URL)' },
+    output: { type: 'string', short: 'o', value: '<file>', help: 'SQL file to write or read (config output.sqlFile)' },
+    'sqlite-db': { type: 'string', value: '<file>', help: 'Local SQLite test database (config output.sqliteDb)' },
+    database: { type: 'string', short: 'd', value: '<id>', env: 'D1_DATABASE_ID', help: 'Target D1 database ID (D1_DATABASE_ID)' },
+    'batch-size': { type: 'string', value: '<n>', help: 'Statements per D1 request (config batchSize)' },
+    'max-attempts': { type: 'string', value: '<n>', env: 'D1_MAX_ATTEMPTS', help: 'Attempts per D1 request before giving up (D1_MAX_ATTEMPTS)' },
+    config: { type: 'string', short: 'c', value: '<file>', env: 'D1_MIGRATE_CONFIG', help: 'Config file (D1_MIGRATE_CONFIG)' },
+    'dry-run': { type: 'boolean', help: 'Show what would be done without writing files or changing D1' },
+    'ddl-output': { type: 'string', value: '<file>', help: 'Write the DDL that reconciles D1 with MySQL to a file' },
+    'migrations-dir': { type: 'string', value: '<dir>', help: 'Wrangler migrations directory (config output.migrationsDir)' },
+    local: { type: 'boolean', help: 'Compare with the local SQLite database instead of D1' },
+    resume: { type: 'boolean', help: 'Continue an interrupted push from its checkpoint instead of starting over' },
+    help: { type: 'boolean', short: 'h', help: 'Show help' }
+};
+
+// Each command returns an exit code
+const COMMANDS = {
+    export: {
+        summary: 'Generate the SQL file from MySQL',
+        flags: ['mysql-url', 'output', 'config', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { exportSQL } = require('./mysql-to-sqlite-start');
+            await exportSQL(config, { dryRun });
+            return EXIT_OK;
+        }
+    },
+    'test-local': {
+        summary: 'Load the SQL file into a local SQLite database and check it',
+        flags: ['output', 'sqlite-db', 'mysql-url', 'config', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { testLocal } = require('./mysql-to-sqlite-start');
+            const mismatches = await testLocal(config, { dryRun });
+            return mismatches > 0 ? EXIT_VERIFY_FAILED : EXIT_OK;
+        }
+    },
+    push: {
+        summary: 'Replace the D1 database contents with the SQL file, in batches',
+        flags: ['output', 'database', 'max-attempts', 'batch-size', 'mysql-url', 'config', 'dry-run', 'resume'],
+        async run(config, { dryRun, resume }) {
+            const { migrateSQLiteToD1, requireD1Env } = require('./migrate-d1');
+            if (!dryRun || resume) requireD1Env();
+            const verification = await migrateSQLiteToD1(config, { dryRun, resume });
+            return verification && !verificationPassed(verification) ? EXIT_VERIFY_FAILED : EXIT_OK;
+        }
+    },
+    import: {
+        summary: 'Load the SQL file with the D1 import API',
+        flags: ['output', 'sqlite-db', 'database', 'max-attempts', 'config', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { importSQLFile } = require('./d1-sql-import-beta');
+            const mismatches = await importSQLFile(config, { dryRun });
+            return mismatches > 0 ? EXIT_VERIFY_FAILED : EXIT_OK;
+        }
+    },
+    sync: {
+        summary: 'Upsert rows changed in MySQL since the last sync into D1 and delete removed rows',
+        flags: ['mysql-url', 'database', 'max-attempts', 'batch-size', 'config', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { syncIncremental } = require('./delta-sync');
+            await syncIncremental(config, { dryRun });
+            return EXIT_OK;
+        }
+    },
+    verify: {
+        summary: 'Compare D1 tables and row counts with the SQL file and MySQL',
+        // Only reads D1, the SQL file and MySQL, so --dry-run changes nothing
+        flags: ['output', 'database', 'max-attempts', 'mysql-url', 'config', 'dry-run'],
+        async run(config) {
+            const { verifyMigration, requireD1Env, parseSQLFile, getTableNames } = require('./migrate-d1');
+            requireD1Env();
+            const tableNames = getTableNames(parseSQLFile(config.output.sqlFile));
+            const verification = await verifyMigration(tableNames, config);
+            return verificationPassed(verification) ? EXIT_OK : EXIT_VERIFY_FAILED;
+        }
+    },
+    'verify-content': {
+        summary: 'Compare row contents with MySQL by chunk checksums and write a diff report',
+        flags: ['mysql-url', 'database', 'max-attempts', 'local', 'sqlite-db', 'config', 'dry-run'],
+        async run(config, { local, dryRun }) {
+            const { verifyContent } = require('./content-verify');
+            const { differences } = await verifyContent(config, { local, dryRun });
+            return differences > 0 ? EXIT_VERIFY_FAILED : EXIT_OK;
+        }
+    },
+    diff: {
+        summary: 'Compare the D1 schema with MySQL and print the DDL that reconciles them',
+        flags: ['mysql-url', 'database', 'max-attempts', 'config', 'ddl-output', 'dry-run'],
+        async run(config, { ddlOutput, dryRun }) {
+            const { diffD1Schema } = require('./schema-diff');
+            const { changes } = await diffD1Schema(config, { ddlOutput, dryRun });
+            return changes.length > 0 ? EXIT_VERIFY_FAILED : EXIT_OK;
+        }
+    },
+    migrations: {
+        summary: 'Write wrangler migrations, or the next one needed to catch up with MySQL schema changes',
+        flags: ['mysql-url', 'migrations-dir', 'config', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { generateWranglerMigrations } = require('./wrangler-migrations');
+            await generateWranglerMigrations(config, { dryRun });
+            return EXIT_OK;
+        }
+    },
+    clean: {
+        summary: 'Drop all views and tables from D1 (except _cf_KV)',
+        flags: ['database', 'max-attempts', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { cleanD1Database, requireD1Env } = require('./migrate-d1');
+            requireD1Env();
+            await cleanD1Database({ dryRun });
+            return EXIT_OK;
+        }
+    },
+    'check-connection': {
+        summary: 'Check the D1 credentials; --dry-run skips the write test',
+        flags: ['database', 'max-attempts', 'dry-run'],
+        async run(config, { dryRun }) {
+            const { testD1Connection } = require('./test-d1-connection');
+            await testD1Connection({ readOnly: dryRun });
+            return EXIT_OK;
+        }
+    }
+};
+
+function verificationPassed({ missingTables, mismatches, errors }) {
+    return missingTables.length === 0 && mismatches === 0 && errors === 0;
+}
+
+function formatFlags(names) {
+    return names.map(name => {
+        const flag = FLAGS[name];
+        const label = `${flag.short ? `-${flag.short}, ` : '    '}--${name}${flag.value ? ` ${flag.value}` : ''}`;
+        return `  ${label.padEnd(28)}${flag.help}`;
+    }).join('\n');
+}
+
+function usage() {
+    const commands = Object.entries(COMMANDS)
+        .map(([name, command]) => `  ${name.padEnd(18)}${command.summary}`)
+        .join('\n');
+
+    return `Usage: d1-migrate <command> [options]
+
+Commands:
+${commands}
+
+Options:
+${formatFlags(Object.keys(FLAGS))}
+
+Run "d1-migrate <command> --help" for the options of a command.
+
+Exit codes:
+  0  success
+  1  the command failed
+  2  invalid command, option or config file
+  3  verification or diff found differences`;
+}
+
+function commandUsage(name) {
+    return `Usage: d1-migrate ${name} [options]
+
+${COMMANDS[name].summary}
+
+Options:
+${formatFlags([...COMMANDS[name].flags, 'help'])}`;
+}
+
+// Parse argv into { commandName, flags }, throwing UsageError for anything invalid
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: Object.fromEntries(Object.entries(FLAGS).map(([name, { type, short }]) => [name, short ? { type, short } : { type }])),
+            allowPositionals: true
+        });
+    } catch (error) {
+        const commandName = argv.find(arg => Object.hasOwn(COMMANDS, arg));
+        throw new UsageError(error.message, commandName);
+    }
+
+    const { values, positionals } = parsed;
+    const [commandName, ...extra] = positionals;
+
+    if (commandName && !Object.hasOwn(COMMANDS, commandName)) {
+        throw new UsageError(`Unknown command: ${commandName}`);
+    }
+    if (extra.length > 0) {
+        throw new UsageError(`Unexpected argument: ${extra[0]}`, commandName);
+    }
+    if (commandName) {
+        const unused = Object.keys(values).filter(name => name !== 'help' && !COMMANDS[commandName].flags.includes(name));
+        if (unused.length > 0) {
+            throw new UsageError(`--${unused[0]} is not an option of ${commandName}`, commandName);
+        }
+    }
+    for (const name of ['batch-size', 'max-attempts']) {
+        if (values[name] !== undefined && !/^[1-9]\d*$/.test(values[name])) {
+            throw new UsageError(`--${name} must be a positive integer, got "${values[name]}"`, commandName);
+        }
+    }
+
+    return { commandName, flags: values };
+}
+
+// Apply flags on top of the environment and the config file
+function resolveConfig(flags) {
+    for (const [name, flag] of Object.entries(FLAGS)) {
+        if (flag.env && flags[name] !== undefined) {
+            process.env[flag.env] = flags[name];
+        }
+    }
+
+    let config;
+    try {
+        config = loadMigrationConfig();
+    } catch (error) {
+        throw new UsageError(error.message, null);
+    }
+
+    return {
+        ...config,
+        output: {
+            ...config.output,
+            ...(flags.output !== undefined && { sqlFile: flags.output }),
+            ...(flags['sqlite-db'] !== undefined && { sqliteDb: flags['sqlite-db'] }),
+            ...(flags['migrations-dir'] !== undefined && { migrationsDir: flags['migrations-dir'] })
+        },
+        batchSize: flags['batch-size'] !== undefined ? parseInt(flags['batch-size'], 10) : config.batchSize
+    };
+}
+
+async function run(argv) {
+    let commandName;
+    let config;
+    let flags;
+
+    try {
+        ({ commandName, flags } = parseCommandLine(argv));
+        if (flags.help) {
+            console.log(commandName ? commandUsage(commandName) : usage());
+            return EXIT_OK;
+        }
+        if (!commandName) {
+            console.error(usage());
+            return EXIT_USAGE;
+        }
+        config = resolveConfig(flags);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        const usageCommand = error.commandName || commandName;
+        console.error(`💥 ${error.message}\n`);
+        console.error(usageCommand ? commandUsage(usageCommand) : 'Run "d1-migrate --help" for usage.');
+        return EXIT_USAGE;
+    }
+
+    try {
+        return await COMMANDS[commandName].run(config, {
+            dryRun: Boolean(flags['dry-run']),
+            resume: Boolean(flags.resume),
+            local: Boolean(flags.local),
+            ddlOutput: flags['ddl-output'] || null
+        });
+    } catch (error) {
+        console.error(`💥 ${commandName} failed: ${error.message}`);
+        if (process.env.DEBUG) console.error(error.stack);
+        return EXIT_FAILURE;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = { run, COMMANDS };
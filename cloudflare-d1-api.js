@@ -1,7 +1,17 @@
-const axios = require('axios');
+const { d1Request } = require('./d1-request');
+const { createBatches } = require('./sql-batches');
+const { checkpointStateProblems, recordStatement } = require('./push-checkpoint');
+const { splitSQLStatements } = require('./sql-splitter');
 const fs = require('fs');
 const path = require('path');
 
+// Identifier without its "", ``, [] quotes
+function unquoteIdentifier(identifier) {
+    if (/^".*"$/.test(identifier)) return identifier.slice(1, -1).replace(/""/g, '"');
+    if (/^`.*`$|^\[.*\]$/.test(identifier)) return identifier.slice(1, -1);
+    return identifier;
+}
+
 class CloudflareD1API {
     constructor(accountId, apiToken, databaseId) {
         this.accountId = accountId;
@@ -9,44 +19,14 @@ class CloudflareD1API {
         this.databaseId = databaseId;
     }
 
-    // Simple axios call that matches curl behavior
+    // Requests go through the shared D1 layer, which retries and paces them and
+    // throws D1Error on failure
     async makeRequest(method, endpoint, data = null) {
-        const url = `https://api.cloudflare.com/client/v4/accounts/${this.accountId}/d1/database/${this.databaseId}${endpoint}`;
-        
-        const config = {
-            method: method,
-            url: url,
-            headers: {
-                'Authorization': `Bearer ${this.apiToken}`,
-                'Content-Type': 'application/json',
-            },
+        return d1Request(method, endpoint, data, {
+            statement: data && data.sql ? data.sql : null,
+            credentials: { accountId: this.accountId, apiToken: this.apiToken, databaseId: this.databaseId },
             timeout: 30000
-        };
-
-        if (data) {
-            config.data = data;
-        }
-
-        try {
-            const response = await axios(config);
-            return response.data;
-        } catch (error) {
-            if (error.response) {
-                const { status, data } = error.response;
-                let errorMessage = `HTTP Error ${status}`;
-                
-                if (data && data.errors && data.errors.length > 0) {
-                    errorMessage += `: ${JSON.stringify(data.errors[0])}`;
-                } else if (data && typeof data === 'object') {
-                    errorMessage += `: ${JSON.stringify(data)}`;
-                } else {
-                    errorMessage += `: ${error.message}`;
-                }
-                
-                throw new Error(errorMessage);
-            }
-            throw error;
-        }
+        });
     }
 
     async executeQuery(sql, params = []) {
@@ -63,98 +43,149 @@ class CloudflareD1API {
         }
     }
 
-    // Fixed: Execute multiple statements as individual queries
-    async executeBatch(statements) {
-        const results = [];
-        for (const statement of statements) {
-            if (statement.trim()) {
-                try {
-                    const result = await this.executeQuery(statement);
-                    results.push({ success: true, result, statement });
-                } catch (error) {
-                    results.push({ success: false, error: error.message, statement });
-                }
-                // Add delay between requests to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
+    // Tables D1 holds (except _cf_KV) with their row counts, in two requests
+    async getTableCounts() {
+        const { result: [tables] } = await this.makeRequest('POST', '/query', {
+            sql: `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> '_cf_KV';`
+        });
+        if (tables.results.length === 0) return {};
+
+        const sql = tables.results
+            .map(({ name }) => `SELECT '${name.replace(/'/g, "''")}' AS name, COUNT(*) AS count FROM "${name.replace(/"/g, '""')}"`)
+            .join(' UNION ALL ');
+        const { result: [counts] } = await this.makeRequest('POST', '/query', { sql: `${sql};` });
+        return Object.fromEntries(counts.results.map(({ name, count }) => [name, count]));
+    }
+
+    // What a rejected batch is checked against before it is split: the tables and row
+    // counts D1 should hold, in push-checkpoint's format and kept up to date from the
+    // statements that succeed, plus the requests still running in other workers.
+    async createUploadState() {
+        return { tables: await this.getTableCounts(), appliedStatements: 0, inFlight: new Set(), checking: null };
+    }
+
+    // D1 runs a multi-statement request as a transaction, so a rejected batch should
+    // have applied nothing. Splitting it is only safe if it did: statements that landed
+    // anyway would run twice. The check waits for the requests already running, and
+    // holds back new ones, so their rows are accounted for. Returns the differences.
+    async checkNothingApplied(state) {
+        while (state.checking) await state.checking;
+        state.checking = (async () => {
+            await Promise.allSettled([...state.inFlight]);
+            try {
+                return checkpointStateProblems(state, await this.getTableCounts());
+            } catch (error) {
+                return [`could not read the row counts: ${error.message}`];
             }
+        })();
+        try {
+            return await state.checking;
+        } finally {
+            state.checking = null;
         }
-        return results;
     }
 
-    // Improved SQL file parsing
-    parseSQLFile(sqlContent) {
-        const statements = [];
-        let currentStatement = '';
-        let inString = false;
-        let stringChar = '';
-        let inComment = false;
-        
-        const lines = sqlContent.split('\n');
-        
-        for (let line of lines) {
-            line = line.trim();
-            
-            // Skip empty lines
-            if (!line) continue;
-            
-            // Skip single-line comments
-            if (line.startsWith('--') || line.startsWith('#')) continue;
-            
-            // Handle multi-line comments
-            if (line.includes('/*')) {
-                inComment = true;
+    // Run statements as one multi-statement request. A batch D1 rejected is split in
+    // halves until the failing statements are isolated and the others have run, once
+    // D1 is confirmed to hold none of it; a partly applied batch fails as a whole.
+    // Returns one result per non-empty statement, in order, as
+    // { success, result | error, statement, index } with index counted from firstIndex.
+    // With stopOnError, statements after a failure are not run and come back with
+    // skipped: true. state comes from createUploadState(), or is read first.
+    async executeBatch(statements, { firstIndex = 0, stopOnError = false, state = null } = {}) {
+        const entries = statements
+            .map((statement, i) => ({ statement: statement.trim(), index: firstIndex + i }))
+            .filter(entry => entry.statement);
+        if (entries.length === 0) return [];
+        return this.executeEntries(entries, stopOnError, state || await this.createUploadState());
+    }
+
+    async executeEntries(entries, stopOnError, state) {
+        if (entries.length === 0) return [];
+
+        const sql = entries.map(({ statement }) => (statement.endsWith(';') ? statement : `${statement};`)).join('\n');
+        while (state.checking) await state.checking;
+        const request = this.makeRequest('POST', '/query', { sql });
+        state.inFlight.add(request);
+        try {
+            const response = await request;
+            state.inFlight.delete(request);
+            entries.forEach(({ statement }, i) => recordStatement(state, statement, response.result[i]?.meta?.changes));
+            return entries.map(({ statement, index }, i) => ({ success: true, result: response.result[i], statement, index }));
+        } catch (error) {
+            state.inFlight.delete(request);
+            // Throttling, server and network failures were already retried; splitting won't help
+            const rejected = error.status != null && error.status !== 429 && error.status < 500;
+            if (entries.length === 1 || !rejected) {
+                return entries.map(({ statement, index }) => ({ success: false, error: error.message, statement, index }));
             }
-            if (inComment) {
-                if (line.includes('*/')) {
-                    inComment = false;
-                    line = line.substring(line.indexOf('*/') + 2);
-                } else {
-                    continue;
-                }
+
+            const problems = await this.checkNothingApplied(state);
+            if (problems.length > 0) {
+                const message = `${error.message} (D1 no longer matches the statements run so far, so the batch was not split: ${problems.join('; ')})`;
+                return entries.map(({ statement, index }) => ({ success: false, error: message, statement, index }));
             }
-            
-            // Process character by character for proper string handling
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                
-                if (!inString) {
-                    if (char === '"' || char === "'" || char === '`') {
-                        inString = true;
-                        stringChar = char;
-                    } else if (char === ';') {
-                        // End of statement
-                        if (currentStatement.trim()) {
-                            statements.push(currentStatement.trim());
-                            currentStatement = '';
-                        }
-                        continue;
-                    }
-                } else {
-                    if (char === stringChar) {
-                        // Check if it's escaped
-                        if (i > 0 && line[i-1] === '\\') {
-                            // It's escaped, continue
-                        } else {
-                            inString = false;
-                            stringChar = '';
-                        }
-                    }
-                }
-                
-                currentStatement += char;
+
+            const middle = Math.ceil(entries.length / 2);
+            const first = await this.executeEntries(entries.slice(0, middle), stopOnError, state);
+            if (stopOnError && first.some(result => !result.success)) {
+                const skipped = entries.slice(middle).map(({ statement, index }) => ({
+                    success: false,
+                    skipped: true,
+                    error: 'not run: an earlier statement in the batch failed',
+                    statement,
+                    index
+                }));
+                return [...first, ...skipped];
             }
-            
-            currentStatement += ' '; // Add space between lines
-        }
-        
-        // Add the last statement if it doesn't end with semicolon
-        if (currentStatement.trim()) {
-            statements.push(currentStatement.trim());
+            return [...first, ...await this.executeEntries(entries.slice(middle), stopOnError, state)];
         }
-        
-        return statements.filter(stmt => stmt.length > 0);
     }
 
+    // Statements of a SQL script, byte for byte as written
+    parseSQLFile(sqlContent) {
+        return splitSQLStatements(sqlContent);
+    }
+
+    // Split a file's statements into groups that run one after the other. A run of
+    // INSERTs into one table is a parallel group: its rows don't depend on each other,
+    // so its batches may run concurrently, unless the table has a foreign key to
+    // itself. Everything else (schema, PRAGMAs, self-referencing tables) is sequential.
+    groupStatements(statements) {
+        const selfReferencing = new Set();
+        const groups = [];
+
+        statements.forEach((statement, index) => {
+            const createTable = statement.match(/^CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?("(?:[^"]|"")+"|`[^`]+`|\[[^\]]+\]|[\w$]+)/i);
+            if (createTable) {
+                const name = unquoteIdentifier(createTable[1]);
+                const references = [...statement.matchAll(/\bREFERENCES\s+("(?:[^"]|"")+"|`[^`]+`|\[[^\]]+\]|[\w$]+)/gi)];
+                if (references.some(match => unquoteIdentifier(match[1]).toLowerCase() === name.toLowerCase())) {
+                    selfReferencing.add(name.toLowerCase());
+                }
+            }
+
+            const insert = statement.match(/^INSERT\s+(?:OR\s+\w+\s+)?INTO\s+("(?:[^"]|"")+"|`[^`]+`|\[[^\]]+\]|[\w$]+)/i);
+            const table = insert ? unquoteIdentifier(insert[1]).toLowerCase() : null;
+            const parallel = Boolean(table) && !selfReferencing.has(table);
+            const last = groups[groups.length - 1];
+
+            if (last && last.parallel === parallel && (!parallel || last.table === table)) {
+                last.entries.push({ statement, index });
+            } else {
+                groups.push({ parallel, table, entries: [{ statement, index }] });
+            }
+        });
+
+        return groups;
+    }
+
+    // Upload a SQL file in multi-statement batches of batchSize statements (and at most
+    // maxBatchBytes). Batches of a parallel group run up to concurrency at a time; the
+    // groups themselves run in file order. Errors carry the statement's index in the file.
+    // With stopOnError no batch starts after a failure, but batches other workers
+    // already sent still finish and count as successful, so statements later in the
+    // file than the failing one may have been applied; errors lists only failures.
     async uploadSQLFile(filePath, options = {}) {
         try {
             if (!fs.existsSync(filePath)) {
@@ -166,62 +197,74 @@ class CloudflareD1API {
             
             console.log(`Found ${statements.length} SQL statements to execute`);
             
-            const batchSize = options.batchSize || 10; // Increased batch size
+            const batchSize = options.batchSize || 100;
+            const maxBatchBytes = options.maxBatchBytes || 1000000;
+            const concurrency = options.concurrency || 4;
             const stopOnError = options.stopOnError !== false; // Default to true
             
             let successful = 0;
             let failed = 0;
+            let skipped = 0;
             const errors = [];
+            const startedAt = Date.now();
+            const state = await this.createUploadState();
 
-            for (let i = 0; i < statements.length; i += batchSize) {
-                const batch = statements.slice(i, i + batchSize);
-                const batchNumber = Math.floor(i/batchSize) + 1;
-                const totalBatches = Math.ceil(statements.length/batchSize);
-                
-                console.log(`Processing batch ${batchNumber}/${totalBatches}...`);
-                
-                try {
-                    const results = await this.executeBatch(batch);
-                    
-                    // Process individual results
-                    for (const result of results) {
-                        if (result.success) {
-                            successful++;
-                        } else {
-                            failed++;
-                            errors.push({
-                                batch: batchNumber,
-                                statement: result.statement,
-                                error: result.error
-                            });
-                            
-                            if (stopOnError) {
-                                throw new Error(`Statement failed: ${result.error}`);
-                            }
-                        }
-                    }
-                    
-                    console.log(`✅ Batch ${batchNumber} completed: ${successful} successful, ${failed} failed`);
-                    
-                    // Rate limiting delay between batches
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    
-                } catch (error) {
-                    if (stopOnError) {
-                        console.error(`❌ Migration stopped at batch ${batchNumber}:`, error.message);
-                        throw error;
+            const batches = [];
+            for (const group of this.groupStatements(statements)) {
+                let offset = 0;
+                for (const batch of createBatches(group.entries.map(entry => entry.statement), batchSize, maxBatchBytes)) {
+                    batches.push({ group, entries: group.entries.slice(offset, offset + batch.length), number: batches.length + 1 });
+                    offset += batch.length;
+                }
+            }
+
+            const runBatch = async (batch) => {
+                const results = await this.executeBatch(batch.entries.map(entry => entry.statement), { stopOnError, state });
+                for (const [i, result] of results.entries()) {
+                    const index = batch.entries[i].index;
+                    if (result.success) {
+                        successful++;
+                    } else if (result.skipped) {
+                        skipped++;
                     } else {
-                        failed += batch.length;
-                        errors.push({
-                            batch: batchNumber,
-                            error: error.message
-                        });
-                        console.error(`❌ Batch ${batchNumber} failed:`, error.message);
+                        failed++;
+                        errors.push({ batch: batch.number, index, statement: result.statement, error: result.error });
+                        console.error(`❌ Statement ${index + 1} failed: ${result.error}`);
                     }
                 }
+                console.log(`✅ Batch ${batch.number}/${batches.length} completed: ${successful} successful, ${failed} failed`);
+            };
+
+            let next = 0;
+            while (next < batches.length && !(stopOnError && failed > 0)) {
+                const group = batches[next].group;
+                let end = next;
+                while (end < batches.length && batches[end].group === group) end++;
+                const groupBatches = batches.slice(next, end);
+                next = end;
+
+                const limit = group.parallel ? concurrency : 1;
+                let position = 0;
+                const workers = Array.from({ length: Math.min(limit, groupBatches.length) }, async () => {
+                    while (position < groupBatches.length && !(stopOnError && failed > 0)) {
+                        await runBatch(groupBatches[position++]);
+                    }
+                });
+                await Promise.all(workers);
+            }
+
+            const seconds = (Date.now() - startedAt) / 1000;
+            console.log(`Uploaded ${successful} statements in ${seconds.toFixed(1)}s (${Math.round(successful / Math.max(seconds, 0.001))} statements/s)`);
+
+            if (stopOnError && failed > 0) {
+                const [first] = errors.sort((a, b) => a.index - b.index);
+                const error = new Error(`Statement ${first.index + 1} failed: ${first.error}`);
+                error.results = { successful, failed, skipped, total: statements.length, errors };
+                console.error('❌ Migration stopped:', error.message);
+                throw error;
             }
 
-            return { successful, failed, total: statements.length, errors };
+            return { successful, failed, skipped, total: statements.length, errors };
         } catch (error) {
             console.error('File upload error:', error.message);
             throw error;
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+// Content verification: compares every row of MySQL with D1 (or localsqlite.db)
+// instead of just the row counts. Each table is read in chunks of chunkSize rows in
+// primary key order, both sides are normalised and hashed per chunk, and only chunks
+// whose checksums differ are compared row by row and column by column. The
+// differences are written to output.contentReport.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig, maskingFor, sqliteTableName } = require('./migration-config');
+const { maskableKind } = require('./data-masking');
+const { executeD1RawSQL, requireD1Env } = require('./migrate-d1');
+
+// Differences kept per table in the report; the counts stay exact
+const MAX_REPORTED_DIFFERENCES = 1000;
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+// Readable form of a normalised value for the report and the console
+function displayValue(normalised) {
+    if (normalised === null) return null;
+    if (normalised.startsWith('n:')) return normalised.slice(2);
+    const bytes = Buffer.from(normalised.slice(2), 'hex');
+    const text = bytes.toString('utf8');
+    return Buffer.from(text, 'utf8').equals(bytes) ? text : `x'${bytes.toString('hex')}'`;
+}
+
+// Why a table can't be compared in chunks, or null. Chunks are primary key ranges
+// that both databases must order alike: integers compare the same everywhere, and
+// text keys are ordered by their bytes on both sides. Masked keys differ in D1.
+function chunkingProblem(config, tableName, columns, primaryKey) {
+    if (primaryKey.length === 0) return 'no primary key to chunk rows on';
+    for (const key of primaryKey) {
+        const col = columns.find(c => c.Field === key);
+        if (!maskableKind(col.Type)) return `primary key column "${key}" is ${col.Type}`;
+        if (maskingFor(config, tableName, key)) return `primary key column "${key}" is masked`;
+    }
+    return null;
+}
+
+// Reads one table from MySQL and the target database, chunk by chunk
+class TableComparison {
+    constructor(migrator, target, tableName, columns, primaryKey) {
+        this.migrator = migrator;
+        this.target = target;
+        this.tableName = tableName;
+        this.primaryKey = primaryKey;
+        this.kinds = primaryKey.map(key => maskableKind(columns.find(c => c.Field === key).Type));
+        // Generated values in SQLite are computed from the masked columns
+        this.columns = migrator.config.masking[tableName]
+            ? columns.filter(col => !/GENERATED/i.test(col.Extra))
+            : columns;
+
+        const id = name => migrator.mysqlConnection.escapeId(name);
+        this.mysqlOrder = primaryKey.map((key, i) => (this.kinds[i] === 'text' ? `CAST(${id(key)} AS BINARY)` : id(key)));
+        this.targetKeys = primaryKey.map(key => migrator.quoteColumn(tableName, key));
+    }
+
+    // Next chunk of MySQL rows after lastKey, as { key, values } with normalised values.
+    // The row filter (and its limit) is applied first, as in the export.
+    async readMySQLChunk(lastKey, chunkSize) {
+        const keyset = this.mysqlOrder.map((expr, i) => {
+            const equalities = this.mysqlOrder.slice(0, i).map(prev => `${prev} = ?`);
+            return `(${[...equalities, `${expr} > ?`].join(' AND ')})`;
+        }).join(' OR ');
+        const params = lastKey ? this.primaryKey.flatMap((_, i) => lastKey.slice(0, i + 1)) : [];
+
+        const [rows] = await this.migrator.mysqlConnection.execute(
+            `SELECT * FROM (${this.migrator.filteredSelectSQL(this.tableName, this.primaryKey)}) AS migrated` +
+            `${lastKey ? ` WHERE ${keyset}` : ''} ORDER BY ${this.mysqlOrder.join(', ')} LIMIT ${Number(chunkSize)}`,
+            params
+        );
+        return rows.map(sourceRow => {
+            const row = this.migrator.maskRow(this.tableName, sourceRow, this.columns);
+            return {
+                key: this.primaryKey.map(key => String(row[key])),
+                values: this.columns.map(col => this.migrator.checksumValue(this.tableName, col, row[col.Field]))
+            };
+        });
+    }
+
+    keyLiteral(values) {
+        const literals = values.map((value, i) => (this.kinds[i] === 'integer' && /^-?\d+$/.test(value) ? value : this.migrator.escapeForSQLite(value)));
+        return literals.length === 1 ? literals[0] : `(${literals.join(', ')})`;
+    }
+
+    // Target rows with a key in (lowerKey, upperKey], either bound left open
+    async readTargetRange(lowerKey, upperKey, limit = null) {
+        const keyList = this.targetKeys.length === 1 ? this.targetKeys[0] : `(${this.targetKeys.join(', ')})`;
+        const conditions = [];
+        if (lowerKey) conditions.push(`${keyList} > ${this.keyLiteral(lowerKey)}`);
+        if (upperKey) conditions.push(`${keyList} <= ${this.keyLiteral(upperKey)}`);
+        // hex() tells NULL from '' only with the CASE, and reads every storage class as bytes
+        const selectList = [
+            ...this.targetKeys.map(key => `CAST(${key} AS TEXT)`),
+            ...this.columns.map(col => {
+                const column = this.migrator.quoteColumn(this.tableName, col.Field);
+                return `CASE WHEN ${column} IS NULL THEN NULL ELSE hex(${column}) END`;
+            })
+        ];
+
+        const rows = await this.target.query(
+            `SELECT ${selectList.join(', ')} FROM ${this.migrator.quoteTable(this.tableName)}` +
+            `${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY ${this.targetKeys.join(', ')}` +
+            `${limit ? ` LIMIT ${Number(limit)}` : ''};`
+        );
+        const keyCount = this.primaryKey.length;
+        return rows.map(row => ({
+            key: row.slice(0, keyCount).map(String),
+            values: this.columns.map((col, i) => this.migrator.checksumStoredValue(this.tableName, col, row[keyCount + i]))
+        }));
+    }
+}
+
+const chunkChecksum = rows => sha256(rows.map(row => JSON.stringify([row.key, row.values])).join('\n'));
+
+// Row and column differences between two chunks that hold the same key range
+function diffChunk(comparison, mysqlRows, targetRows, targetName) {
+    const label = key => comparison.primaryKey.map((name, i) => `${name}=${key[i]}`).join(', ');
+    const targetByKey = new Map(targetRows.map(row => [JSON.stringify(row.key), row]));
+    const differences = [];
+
+    for (const row of mysqlRows) {
+        const id = JSON.stringify(row.key);
+        const targetRow = targetByKey.get(id);
+        targetByKey.delete(id);
+        if (!targetRow) {
+            differences.push({ key: label(row.key), column: null, reason: `row missing in ${targetName}` });
+            continue;
+        }
+        comparison.columns.forEach((col, i) => {
+            if (row.values[i] !== targetRow.values[i]) {
+                differences.push({ key: label(row.key), column: col.Field, mysql: displayValue(row.values[i]), [targetName]: displayValue(targetRow.values[i]) });
+            }
+        });
+    }
+    for (const targetRow of targetByKey.values()) {
+        differences.push({ key: label(targetRow.key), column: null, reason: `row only in ${targetName}` });
+    }
+    return differences;
+}
+
+// Compare one table chunk by chunk. The last MySQL key of each chunk closes the
+// key range read from the target; rows past the last MySQL key only exist there.
+async function compareTable(comparison, chunkSize, targetName) {
+    const result = { rows: 0, chunks: 0, mismatchedChunks: 0, differenceCount: 0, differences: [] };
+    const tableHash = { mysql: crypto.createHash('sha256'), target: crypto.createHash('sha256') };
+
+    const compareChunk = (mysqlRows, targetRows) => {
+        const mysqlChecksum = chunkChecksum(mysqlRows);
+        const targetChecksum = chunkChecksum(targetRows);
+        tableHash.mysql.update(mysqlChecksum);
+        tableHash.target.update(targetChecksum);
+        result.chunks++;
+        result.rows += mysqlRows.length;
+        if (mysqlChecksum === targetChecksum) return;
+
+        result.mismatchedChunks++;
+        const differences = diffChunk(comparison, mysqlRows, targetRows, targetName);
+        result.differenceCount += differences.length;
+        result.differences.push(...differences.slice(0, MAX_REPORTED_DIFFERENCES - result.differences.length));
+    };
+
+    let lastKey = null;
+    while (true) {
+        const mysqlRows = await comparison.readMySQLChunk(lastKey, chunkSize);
+        if (mysqlRows.length === 0) break;
+        const upperKey = mysqlRows[mysqlRows.length - 1].key;
+        compareChunk(mysqlRows, await comparison.readTargetRange(lastKey, upperKey));
+        lastKey = upperKey;
+        if (mysqlRows.length < chunkSize) break;
+    }
+    while (true) {
+        const extraRows = await comparison.readTargetRange(lastKey, null, chunkSize);
+        if (extraRows.length === 0) break;
+        compareChunk([], extraRows);
+        lastKey = extraRows[extraRows.length - 1].key;
+        if (extraRows.length < chunkSize) break;
+    }
+
+    result.checksums = { mysql: tableHash.mysql.digest('hex'), [targetName]: tableHash.target.digest('hex') };
+    return result;
+}
+
+function openTarget(config, { local }) {
+    if (local) {
+        const file = config.output.sqliteDb;
+        if (!fs.existsSync(file)) {
+            throw new Error(`Local SQLite database not found: ${file} (run test-local first)`);
+        }
+        const db = new Database(file, { readonly: true });
+        return { name: 'sqlite', label: file, query: async sql => db.prepare(sql).raw().all(), close: () => db.close() };
+    }
+    requireD1Env();
+    return {
+        name: 'd1',
+        label: `D1 database ${process.env.D1_DATABASE_ID}`,
+        query: async sql => (await executeD1RawSQL(sql))[0].results.rows,
+        close: () => {}
+    };
+}
+
+// Compare the contents of every migrated table with D1, or with localsqlite.db when
+// local is set, and write the report unless dryRun is set. Returns
+// { tables, differences, skipped, report }, report being null on a dry run.
+async function verifyContent(config, { local = false, dryRun = false } = {}) {
+    if (!process.env.MYSQL_URL) {
+        throw new Error('Missing environment variable: MYSQL_URL');
+    }
+    const target = openTarget(config, { local });
+    const migrator = new MySQLToSQLiteMigrator(parseMySQLUrl(process.env.MYSQL_URL), { config, ...migratorOptionsFromEnv() });
+    const chunkSize = migrator.options.chunkSize;
+    const tables = [];
+    const skipped = [];
+
+    try {
+        await migrator.connectToMySQL();
+        console.log(`🔍 Comparing row contents of MySQL and ${target.label} in chunks of ${chunkSize} rows...`);
+
+        for (const tableName of await migrator.getTableNames()) {
+            const name = sqliteTableName(config, tableName);
+            const columns = await migrator.getTableSchema(tableName);
+            const primaryKey = await migrator.getPrimaryKey(tableName);
+            const problem = chunkingProblem(config, tableName, columns, primaryKey);
+            if (problem) {
+                skipped.push({ table: name, reason: problem });
+                console.warn(`   ⚠️ ${name}: skipped, ${problem}`);
+                continue;
+            }
+
+            const comparison = new TableComparison(migrator, target, tableName, columns, primaryKey);
+            const result = { table: name, ...await compareTable(comparison, chunkSize, target.name) };
+            tables.push(result);
+            if (result.differenceCount === 0) {
+                console.log(`   ✅ ${name}: ${result.rows} rows match (checksum ${result.checksums.mysql.slice(0, 12)})`);
+                continue;
+            }
+            console.log(`   ❌ ${name}: ${result.differenceCount} differences in ${result.mismatchedChunks} of ${result.chunks} chunks`);
+            for (const difference of result.differences.slice(0, 5)) {
+                console.log(difference.column
+                    ? `      • ${difference.key} "${difference.column}": MySQL ${JSON.stringify(difference.mysql)}, ${target.name} ${JSON.stringify(difference[target.name])}`
+                    : `      • ${difference.key}: ${difference.reason}`);
+            }
+        }
+    } finally {
+        await migrator.disconnect();
+        target.close();
+    }
+
+    const differences = tables.reduce((total, table) => total + table.differenceCount, 0);
+    console.log(differences === 0
+        ? `\n🎉 All ${tables.length} compared tables match row for row`
+        : `\n⚠️ ${differences} differences in ${tables.filter(table => table.differenceCount > 0).length} tables`);
+
+    const report = config.output.contentReport;
+    if (dryRun) {
+        console.log(`📝 Dry run: report not written to ${report}`);
+        return { tables, differences, skipped, report: null };
+    }
+    fs.mkdirSync(path.dirname(report), { recursive: true });
+    fs.writeFileSync(report, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        target: target.label,
+        chunkSize,
+        differences,
+        tables,
+        skipped
+    }, null, 2));
+    console.log(`📝 Report written to ${report}`);
+    return { tables, differences, skipped, report };
+}
+
+async function main() {
+    try {
+        const { differences } = await verifyContent(loadMigrationConfig(), {
+            local: process.argv.includes('--local'),
+            dryRun: process.argv.includes('--dry-run')
+        });
+        process.exitCode = differences > 0 ? 3 : 0;
+    } catch (error) {
+        console.error('💥 Content verification failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = { verifyContent };
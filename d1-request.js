@@ -0,0 +1,156 @@
+// Shared request layer for the Cloudflare D1 REST API. Every D1 call goes through
+// requestWithRetry(), which retries throttling (429), server errors (5xx) and dropped
+// connections with exponential backoff and jitter, honours Retry-After, and paces
+// requests: the gap between them grows when D1 throttles and shrinks again while
+// requests succeed. Failures surface as D1Error with the Cloudflare error code, the
+// HTTP status and the SQL that was sent.
+const axios = require('axios');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+// Pacing interval bounds: the first throttle adds MIN, repeated ones double it up to MAX
+const MIN_PACING_MS = 100;
+const MAX_PACING_MS = 10000;
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+class D1Error extends Error {
+    constructor(message, { status = null, code = null, statement = null, attempts = 1, response = null } = {}) {
+        super(message);
+        this.name = 'D1Error';
+        // HTTP status, or null when no response arrived
+        this.status = status;
+        // First Cloudflare error code of the response, e.g. 7500 for a SQL error
+        this.code = code;
+        this.statement = statement;
+        this.attempts = attempts;
+        // Kept so callers can still print the raw API response
+        this.response = response;
+    }
+}
+
+// Shared by every request of the process, so concurrent callers slow down together
+const pacing = { interval: 0, nextSlot: 0 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// D1 settings are read per request, so the CLI can set them from flags
+function maxAttempts() {
+    const value = process.env.D1_MAX_ATTEMPTS;
+    if (value === undefined || value === '') return DEFAULT_MAX_ATTEMPTS;
+    if (!/^[1-9]\d*$/.test(value)) {
+        throw new Error(`D1_MAX_ATTEMPTS must be a positive integer, got "${value}"`);
+    }
+    return parseInt(value, 10);
+}
+
+async function waitForSlot() {
+    const now = Date.now();
+    const start = Math.max(now, pacing.nextSlot);
+    pacing.nextSlot = start + pacing.interval;
+    if (start > now) await sleep(start - now);
+}
+
+function slowDown() {
+    pacing.interval = Math.min(MAX_PACING_MS, Math.max(MIN_PACING_MS, pacing.interval * 2));
+}
+
+function speedUp() {
+    pacing.interval = pacing.interval * 0.9 < MIN_PACING_MS / 2 ? 0 : pacing.interval * 0.9;
+}
+
+// Milliseconds asked for by a Retry-After header (seconds or an HTTP date), or null
+function retryAfterMs(headers) {
+    const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+    if (value === undefined || value === null || value === '') return null;
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) return Math.round(parseFloat(value) * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+    if (error.response) {
+        return error.response.status === 429 || error.response.status >= 500;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Exponential backoff with equal jitter: half the delay is fixed, half random
+function backoffMs(attempt) {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function toD1Error(error, statement, attempts) {
+    const response = error.response || null;
+    const apiError = response?.data?.errors?.[0];
+    const status = response ? response.status : null;
+    const detail = apiError?.message || (response ? `HTTP ${status}` : error.message);
+    const context = [status && `HTTP ${status}`, apiError?.code && `code ${apiError.code}`, !response && error.code]
+        .filter(Boolean)
+        .join(', ');
+    return new D1Error(`D1 request failed${context ? ` (${context})` : ''}: ${detail}`, {
+        status,
+        code: apiError?.code ?? null,
+        statement,
+        attempts,
+        response
+    });
+}
+
+// Send an axios request config, retrying what can succeed on a later attempt.
+// Returns the axios response; anything else ends in a D1Error.
+async function requestWithRetry(config, { statement = null } = {}) {
+    const attempts = maxAttempts();
+
+    for (let attempt = 1; ; attempt++) {
+        await waitForSlot();
+        try {
+            const response = await axios.request(config);
+            speedUp();
+            return response;
+        } catch (error) {
+            if (error instanceof D1Error) throw error;
+            if (!isRetryable(error) || attempt >= attempts) {
+                throw toD1Error(error, statement, attempt);
+            }
+
+            const status = error.response?.status;
+            if (status === 429 || status >= 500) slowDown();
+            const retryAfter = status ? retryAfterMs(error.response.headers) : null;
+            const delay = retryAfter ?? backoffMs(attempt);
+            pacing.nextSlot = Math.max(pacing.nextSlot, Date.now() + delay);
+            console.warn(`   ⏳ D1 request ${status ? `returned HTTP ${status}` : `failed (${error.code})`}; retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${attempts})`);
+        }
+    }
+}
+
+function d1Url(endpoint, { accountId = process.env.CLOUDFLARE_ACCOUNT_ID, databaseId = process.env.D1_DATABASE_ID } = {}) {
+    return `https://api.cloudflare.com/client/v4/accounts/${accountId}/d1/database/${databaseId}${endpoint}`;
+}
+
+// Call a D1 database endpoint ('' for the database itself, '/raw', '/query',
+// '/import') and return the API response body. A body with success: false, which
+// D1 can send with HTTP 200, becomes a D1Error too. Credentials default to the
+// CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_API_TOKEN and D1_DATABASE_ID variables.
+async function d1Request(method, endpoint, data = null, { statement = null, credentials = {}, timeout = 0 } = {}) {
+    const apiToken = credentials.apiToken || process.env.CLOUDFLARE_API_TOKEN;
+    const response = await requestWithRetry({
+        method,
+        url: d1Url(endpoint, credentials),
+        headers: {
+            Authorization: `Bearer ${apiToken}`,
+            'Content-Type': 'application/json'
+        },
+        ...(data && { data }),
+        timeout,
+        maxBodyLength: Infinity
+    }, { statement });
+
+    if (!response.data || !response.data.success) {
+        throw toD1Error({ response, message: 'request was not successful' }, statement, 1);
+    }
+    return response.data;
+}
+
+module.exports = { D1Error, d1Request, requestWithRetry };
@@ -8,30 +8,22 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const Database = require('better-sqlite3');
-const axios = require('axios');
-const { MySQLToSQLiteMigrator, parseMySQLUrl } = require('./mysql-to-sqlite');
-
-const TEMP_DIR = './temp';
-const MIGRATION_FILE = path.join(TEMP_DIR, 'migration.sql');
-const SQLITE_DB_FILE = 'localsqlite.db';
-
-// Cloudflare D1 env vars
-const CF_ACCOUNT_ID = process.env.CLOUDFLARE_ACCOUNT_ID;
-const CF_DATABASE_ID = process.env.D1_DATABASE_ID;
-const CF_API_TOKEN = process.env.CLOUDFLARE_API_TOKEN;
-const CF_IMPORT_URL = `https://api.cloudflare.com/client/v4/accounts/${CF_ACCOUNT_ID}/d1/database/${CF_DATABASE_ID}/import`;
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig } = require('./migration-config');
+const { d1Request, requestWithRetry } = require('./d1-request');
+const { requireD1Env } = require('./migrate-d1');
 
 // --- Helpers ---
-function ensureTempDirectory() {
-    if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
+function ensureTempDirectory(migrationFile) {
+    const dir = path.dirname(migrationFile);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
-function removeSQLiteDBFile() {
-    if (fs.existsSync(SQLITE_DB_FILE)) fs.unlinkSync(SQLITE_DB_FILE);
+function removeSQLiteDBFile(sqliteDbFile) {
+    if (fs.existsSync(sqliteDbFile)) fs.unlinkSync(sqliteDbFile);
 }
 
-function getSQLiteTableCounts(sqliteFile) {
-    const db = new Database(sqliteFile);
+function getSQLiteTableCounts(db) {
     const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'").all();
     const counts = {};
     for (const { name } of tables) {
@@ -42,41 +34,30 @@ function getSQLiteTableCounts(sqliteFile) {
             counts[name] = null;
         }
     }
-    db.close();
     return counts;
 }
 
 
 // --- D1 Official Import API ---
 async function initImport(etag) {
-    const res = await axios.post(CF_IMPORT_URL, { action: 'init', etag }, {
-        headers: { Authorization: `Bearer ${CF_API_TOKEN}`, 'Content-Type': 'application/json' }
-    });
-    if (!res.data.success) throw new Error(`Init failed: ${JSON.stringify(res.data)}`);
-    return res.data.result;
+    const data = await d1Request('POST', '/import', { action: 'init', etag });
+    return data.result;
 }
 
 async function ingestImport(etag, filename) {
-    const res = await axios.post(CF_IMPORT_URL, { action: 'ingest', etag, filename }, {
-        headers: { Authorization: `Bearer ${CF_API_TOKEN}`, 'Content-Type': 'application/json' }
-    });
-    if (!res.data.success) throw new Error(`Ingest failed: ${JSON.stringify(res.data)}`);
-    return res.data.result;
+    const data = await d1Request('POST', '/import', { action: 'ingest', etag, filename });
+    return data.result;
 }
 
 async function pollImport(current_bookmark) {
     while (true) {
-        const res = await axios.post(CF_IMPORT_URL, { action: 'poll', current_bookmark }, {
-            headers: { Authorization: `Bearer ${CF_API_TOKEN}`, 'Content-Type': 'application/json' }
-        });
-        if (!res.data.success) throw new Error(`Poll failed: ${JSON.stringify(res.data)}`);
+        const data = await d1Request('POST', '/import', { action: 'poll', current_bookmark });
 
-        const status = res.data.result.status || res.data.result.state || 'pending';
+        const status = data.result.status || data.result.state || 'pending';
         console.log(`⏳ Import status: ${status}`);
         if (status === 'completed') break;
         if (status === 'failed') {
-            console.error('❌ Import failed:', res.data.result.error || res.data.errors);
-            process.exit(1);
+            throw new Error(`Import failed: ${JSON.stringify(data.result.error || data.errors)}`);
         }
         await new Promise(r => setTimeout(r, 5000));
     }
@@ -84,91 +65,123 @@ async function pollImport(current_bookmark) {
 }
 
 // --- D1 Row Count Verification ---
+// Returns the number of tables whose D1 count differs or could not be read
 async function verifyD1RowCounts(tableCounts) {
-    const CF_REST_URL = `https://api.cloudflare.com/client/v4/accounts/${CF_ACCOUNT_ID}/d1/database/${CF_DATABASE_ID}/query`;
     console.log('\n🔍 Verifying row counts in D1...');
+    let mismatches = 0;
     for (const [table, expectedCount] of Object.entries(tableCounts)) {
         try {
-            const res = await axios.post(CF_REST_URL, { query: `SELECT COUNT(*) AS count FROM "${table}";` }, {
-                headers: { Authorization: `Bearer ${CF_API_TOKEN}`, 'Content-Type': 'application/json' }
-            });
-            const d1Count = res.data.result[0]?.count ?? null;
+            const sql = `SELECT COUNT(*) AS count FROM "${table}";`;
+            const data = await d1Request('POST', '/query', { sql }, { statement: sql });
+            const d1Count = data.result[0]?.results?.[0]?.count ?? null;
             const status = d1Count === expectedCount ? '✅ MATCH' : '❌ MISMATCH';
+            if (d1Count !== expectedCount) mismatches++;
             console.log(`   • ${table}: MySQL/SQLite=${expectedCount}, D1=${d1Count} → ${status}`);
         } catch (err) {
+            mismatches++;
             console.warn(`   ⚠️ Could not verify table "${table}": ${err.message}`);
         }
     }
+    return mismatches;
 }
 
-// --- Main ---
-async function main() {
-    if (!process.env.MYSQL_URL) throw new Error('Missing MYSQL_URL environment variable');
-    if (!CF_ACCOUNT_ID || !CF_DATABASE_ID || !CF_API_TOKEN) throw new Error('Missing D1 environment variables');
-
-    ensureTempDirectory();
-    removeSQLiteDBFile();
-
-    console.log('🚀 Starting MySQL → SQLite migration...');
-    const mysqlConfig = parseMySQLUrl(process.env.MYSQL_URL);
-    const migrator = new MySQLToSQLiteMigrator(mysqlConfig);
-
+// Load the SQL file into a SQLite database and return its row counts per table
+function loadLocalSQLite(config, sqliteDbFile) {
+    console.log(`🧪 Creating local SQLite database: ${sqliteDbFile}`);
+    const migrator = new MySQLToSQLiteMigrator(null, { config, ...migratorOptionsFromEnv() });
+    const db = new Database(sqliteDbFile);
     try {
-        await migrator.connectToMySQL();
-        const statementCount = await migrator.generateSQLFile(MIGRATION_FILE);
-        if (statementCount === 0) throw new Error('No SQL statements generated.');
-        console.log(`✅ Generated ${statementCount} SQL statements in ${MIGRATION_FILE}`);
-
-        console.log(`🧪 Creating local SQLite database: ${SQLITE_DB_FILE}`);
-        const db = new Database(SQLITE_DB_FILE);
-        db.exec('PRAGMA foreign_keys = OFF;');
-        const sql = fs.readFileSync(MIGRATION_FILE, 'utf8');
-        db.exec(sql);
+        migrator.applyToSQLite(db, fs.readFileSync(config.output.sqlFile, 'utf8'));
         db.exec('PRAGMA foreign_keys = ON;');
-        db.close();
 
         console.log('📊 Analyzing SQLite tables & row counts...');
-        const sqliteCounts = getSQLiteTableCounts(SQLITE_DB_FILE);
-        for (const [table, count] of Object.entries(sqliteCounts)) {
+        const counts = getSQLiteTableCounts(db);
+        for (const [table, count] of Object.entries(counts)) {
             console.log(`   • ${table}: ${count} rows`);
         }
+        return counts;
+    } finally {
+        db.close();
+    }
+}
+
+// Upload the existing SQL file with the D1 import API and compare row counts with
+// the file loaded into SQLite. A dry run stops before anything is uploaded.
+// Returns the number of tables whose counts differ.
+async function importSQLFile(config, { dryRun = false } = {}) {
+    const migrationFile = config.output.sqlFile;
+    if (!fs.existsSync(migrationFile)) throw new Error(`Migration file not found: ${migrationFile}`);
+
+    const sqliteCounts = loadLocalSQLite(config, dryRun ? ':memory:' : config.output.sqliteDb);
+
+    // --- D1 Official Import ---
+    const sqlBuffer = fs.readFileSync(migrationFile);
+    const md5 = crypto.createHash('md5').update(sqlBuffer).digest('hex');
+
+    if (dryRun) {
+        console.log(`📝 Dry run: would import ${migrationFile} (${sqlBuffer.length} bytes, md5 ${md5}) into D1`);
+        return 0;
+    }
+
+    requireD1Env();
+    console.log('🚀 Starting D1 official import...');
+
+    console.log('📡 Init import...');
+    const initResult = await initImport(md5);
+    const uploadUrl = initResult.upload_url || initResult.url;
+    const currentBookmark = initResult.at_bookmark;
+
+    console.log('📤 Uploading SQL file...');
+    await requestWithRetry({
+        method: 'PUT',
+        url: uploadUrl,
+        data: sqlBuffer,
+        headers: {
+            'Content-Type': 'application/sql',
+            'Content-Length': sqlBuffer.length
+        },
+        maxBodyLength: Infinity
+    });
 
+    console.log('📥 Ingest import...');
+    const ingestResult = await ingestImport(md5, path.basename(migrationFile));
+    const ingestBookmark = ingestResult.at_bookmark || currentBookmark;
 
-        // --- D1 Official Import ---
-        console.log('🚀 Starting D1 official import...');
-        const sqlBuffer = fs.readFileSync(MIGRATION_FILE);
-        const md5 = crypto.createHash('md5').update(sqlBuffer).digest('hex');
+    console.log('🔍 Polling import status...');
+    await pollImport(ingestBookmark);
 
-        console.log('📡 Init import...');
-        const initResult = await initImport(md5);
-        const uploadUrl = initResult.upload_url || initResult.url;
-        const currentBookmark = initResult.at_bookmark;
+    // --- Verify D1 counts ---
+    return verifyD1RowCounts(sqliteCounts);
+}
+
+// --- Main ---
+async function main() {
+    let migrator;
 
-        console.log('📤 Uploading SQL file...');
-        const fileSize = sqlBuffer.length;
+    try {
+        // Output paths come from d1-migrate.config.(json|js), validated before anything runs
+        const config = loadMigrationConfig();
+        if (!process.env.MYSQL_URL) throw new Error('Missing MYSQL_URL environment variable');
+        requireD1Env();
 
-await axios.put(uploadUrl, sqlBuffer, {
-    headers: {
-        'Content-Type': 'application/sql',
-        'Content-Length': fileSize
-    },
-    maxBodyLength: Infinity
-});
+        ensureTempDirectory(config.output.sqlFile);
+        removeSQLiteDBFile(config.output.sqliteDb);
 
-        console.log('📥 Ingest import...');
-        const ingestResult = await ingestImport(md5, path.basename(MIGRATION_FILE));
-        const ingestBookmark = ingestResult.at_bookmark || currentBookmark;
+        console.log('🚀 Starting MySQL → SQLite migration...');
+        const mysqlConfig = parseMySQLUrl(process.env.MYSQL_URL);
+        migrator = new MySQLToSQLiteMigrator(mysqlConfig, { config, ...migratorOptionsFromEnv() });
 
-        console.log('🔍 Polling import status...');
-        await pollImport(ingestBookmark);
+        await migrator.connectToMySQL();
+        const statementCount = await migrator.generateSQLFile(config.output.sqlFile);
+        if (statementCount === 0) throw new Error('No SQL statements generated.');
+        console.log(`✅ Generated ${statementCount} SQL statements in ${config.output.sqlFile}`);
 
-        // --- Verify D1 counts ---
-        await verifyD1RowCounts(mysqlCounts);
+        await importSQLFile(config);
 
     } catch (err) {
         console.error('💥 Migration failed:', err.message);
         if (process.env.DEBUG) console.error(err.stack);
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
         if (migrator && typeof migrator.disconnect === 'function') {
             await migrator.disconnect();
@@ -179,3 +192,5 @@ await axios.put(uploadUrl, sqlBuffer, {
 
 // Run
 if (require.main === module) main();
+
+module.exports = { importSQLFile };
@@ -0,0 +1,72 @@
+// Column masking for non-production copies. Every strategy except 'null' is derived
+// from an HMAC of the original value, so the same input always gives the same output:
+// a masked key still joins with the same value masked in another table.
+const crypto = require('crypto');
+
+const MASKING_STRATEGIES = ['hash', 'fake-email', 'null', 'keep-domain', 'pseudonym'];
+
+// Strategies that write text, and those that also keep integer columns integer
+const TEXT_STRATEGIES = ['hash', 'fake-email', 'keep-domain', 'pseudonym'];
+const INTEGER_STRATEGIES = ['pseudonym'];
+
+// Kind of value a MySQL column holds, as far as masking is concerned
+function maskableKind(mysqlType) {
+    const type = mysqlType.toLowerCase();
+    if (/^(tiny|small|medium|big)?int\b|^integer\b/.test(type)) return 'integer';
+    if (/^(var)?char\b|^(tiny|medium|long)?text\b/.test(type)) return 'text';
+    return null;
+}
+
+// Whether a strategy can be applied to a column of the given MySQL type; returns
+// the reason when it can't
+function maskingProblem(strategy, mysqlType) {
+    if (strategy === 'null') return null;
+    const kind = maskableKind(mysqlType);
+    if (kind === 'text' && TEXT_STRATEGIES.includes(strategy)) return null;
+    if (kind === 'integer' && INTEGER_STRATEGIES.includes(strategy)) return null;
+    const allowed = kind === 'integer' ? INTEGER_STRATEGIES : TEXT_STRATEGIES;
+    return kind
+        ? `${strategy} can't mask ${mysqlType} columns (use ${[...allowed, 'null'].join(' or ')})`
+        : `${mysqlType} columns can only be masked with null`;
+}
+
+class ValueMasker {
+    constructor(secret = '') {
+        this.secret = secret;
+    }
+
+    digest(value) {
+        return crypto.createHmac('sha256', this.secret).update(String(value), 'utf8').digest();
+    }
+
+    // Masked value for a non-NULL value of a column of the given kind
+    mask(strategy, value, kind = 'text') {
+        if (value === null || value === undefined || strategy === 'null') {
+            return null;
+        }
+
+        const digest = this.digest(value);
+        switch (strategy) {
+            case 'hash':
+                return digest.toString('hex');
+            case 'fake-email':
+                return `user_${digest.toString('hex', 0, 6)}@example.com`;
+            case 'keep-domain': {
+                const text = String(value);
+                const at = text.lastIndexOf('@');
+                const domain = at >= 0 && at < text.length - 1 ? text.slice(at + 1) : 'example.com';
+                return `user_${digest.toString('hex', 0, 6)}@${domain}`;
+            }
+            case 'pseudonym':
+                // 53 bits keep integers exact in JavaScript and collisions unlikely
+                if (kind === 'integer') {
+                    return (digest.readBigUInt64BE(0) >> 11n).toString();
+                }
+                return `anon_${digest.toString('hex', 0, 8)}`;
+            default:
+                throw new Error(`Unknown masking strategy: ${strategy}`);
+        }
+    }
+}
+
+module.exports = { ValueMasker, MASKING_STRATEGIES, maskableKind, maskingProblem };
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+// Incremental sync: sends the rows changed in MySQL since the last sync to D1 as
+// upserts and deletes the D1 rows that no longer exist in MySQL, so D1 can be kept
+// current without a full drop-and-reload. Tables are configured under "incremental"
+// in d1-migrate.config, and the watermark reached per table is kept in the state file
+// named by output.syncState.
+require('dotenv').config();
+const fs = require('fs');
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig, isTableIncluded, sqliteTableName, incrementalFor, maskingFor, rowFilterFor, batchSizeFor } = require('./migration-config');
+const { orderTablesByDependencies } = require('./table-dependencies');
+const { maskableKind } = require('./data-masking');
+const { executeD1RawSQL, executeDeferred, requireD1Env } = require('./migrate-d1');
+const { createBatches } = require('./sql-batches');
+
+const STATE_VERSION = 1;
+
+function loadSyncState(file, databaseId) {
+    if (!fs.existsSync(file)) {
+        return { version: STATE_VERSION, databaseId, tables: {} };
+    }
+    const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (state.version !== STATE_VERSION) {
+        throw new Error(`Sync state ${file} has version ${state.version}, expected ${STATE_VERSION}`);
+    }
+    if (state.databaseId !== databaseId) {
+        throw new Error(`Sync state ${file} belongs to D1 database ${state.databaseId}, not ${databaseId}; point output.syncState at another file or delete it to sync every row again`);
+    }
+    return state;
+}
+
+// Written to a temporary file first so an interrupted write never loses the watermarks
+function saveSyncState(file, state) {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// How rows past a watermark are selected. Auto-increment keys only grow, so rows at
+// the watermark were already sent. Timestamps can repeat, and a row committed late
+// in the same second as the watermark would be missed, so rows at the watermark are
+// sent again; the upsert makes that harmless.
+function watermarkComparison(columnType) {
+    if (/^(tiny|small|medium|big)?int\b|^integer\b/i.test(columnType)) return '>';
+    if (/^(datetime|timestamp|date)\b/i.test(columnType)) return '>=';
+    return null;
+}
+
+// Columns, keys and generated columns of the synced tables. The full readTableInfo
+// scans every row for enum and zero-date problems, which a sync can't afford.
+async function readSyncTableInfo(migrator, tableName) {
+    const { generatedColumns } = await migrator.readTableExpressions(tableName);
+    return {
+        columns: await migrator.getTableSchema(tableName),
+        primaryKey: await migrator.getPrimaryKey(tableName),
+        foreignKeys: await migrator.getForeignKeys(tableName),
+        generatedColumns
+    };
+}
+
+// Check the incremental settings against the MySQL schema before anything is sent
+function checkSyncTables(config, tableInfos, allTables) {
+    const errors = [];
+    for (const tableName of Object.keys(config.incremental)) {
+        if (!allTables.includes(tableName)) {
+            errors.push(`incremental.${tableName}: no such table${isTableIncluded(config, tableName) ? '' : ' (or it is excluded)'}`);
+            continue;
+        }
+        const { column } = incrementalFor(config, tableName);
+        const { columns, primaryKey } = tableInfos.get(tableName);
+        const col = columns.find(c => c.Field === column);
+        if (!col) {
+            errors.push(`incremental.${tableName}: no column "${column}"`);
+        } else if (!watermarkComparison(col.Type)) {
+            errors.push(`incremental.${tableName}: "${column}" is ${col.Type}; use an integer or date/time column`);
+        }
+        if (primaryKey.length === 0) {
+            errors.push(`incremental.${tableName}: upserts need a primary key`);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Cannot sync:\n${errors.map(error => `   - ${error}`).join('\n')}`);
+    }
+}
+
+// Highest value of the watermark column now, as MySQL text so it can be passed back
+// as a parameter unchanged; null for an empty table
+async function currentWatermark(migrator, tableName, column) {
+    const [rows] = await migrator.mysqlConnection.execute(
+        `SELECT CAST(MAX(${migrator.mysqlConnection.escapeId(column)}) AS CHAR) AS watermark FROM ${migrator.mysqlConnection.escapeId(tableName)}`
+    );
+    return rows[0].watermark;
+}
+
+// Condition selecting the rows changed between the stored watermark and the current
+// one. The first sync takes every row, including those without a value.
+function changedRowsCondition(migrator, column, comparison, previous, current) {
+    const col = migrator.mysqlConnection.escapeId(column);
+    if (previous === null) {
+        return current === null
+            ? { condition: `${col} IS NULL`, params: [] }
+            : { condition: `${col} <= ? OR ${col} IS NULL`, params: [current] };
+    }
+    if (current === null) {
+        return null;
+    }
+    return { condition: `${col} ${comparison} ? AND ${col} <= ?`, params: [previous, current] };
+}
+
+async function countChangedRows(migrator, tableName, changed) {
+    const { where } = rowFilterFor(migrator.config, tableName);
+    const conditions = [where, changed.condition].filter(Boolean).map(part => `(${part})`);
+    const [rows] = await migrator.mysqlConnection.execute(
+        `SELECT COUNT(*) AS count FROM ${migrator.mysqlConnection.escapeId(tableName)} WHERE ${conditions.join(' AND ')}`,
+        changed.params
+    );
+    return Number(rows[0].count);
+}
+
+// Each batch defers foreign key checks, so a row may arrive before a new row it references
+async function sendStatements(statements, batchSize) {
+    for (const batch of createBatches(statements, batchSize)) {
+        await executeDeferred(batch);
+    }
+}
+
+// Upsert the changed rows of one table. Returns the number of rows sent.
+async function upsertChangedRows(migrator, tableName, tableInfo, changed, batchSize) {
+    let sent = 0;
+    for await (const rows of migrator.readTableRows(tableName, tableInfo.primaryKey, changed)) {
+        const statements = rows.map(row => migrator.buildUpsertStatement(tableName, migrator.maskRow(tableName, row, tableInfo.columns), tableInfo));
+        await sendStatements(statements, batchSize);
+        sent += rows.length;
+        if (migrator.options.streaming) {
+            console.log(`     • ${sent} rows upserted`);
+        }
+    }
+    return sent;
+}
+
+// Why deletions can't be detected for a table, or null. D1 keys are looked up in
+// MySQL as they are, so they must be integers or text that masking left alone.
+function deleteDetectionProblem(config, tableName, tableInfo) {
+    for (const key of tableInfo.primaryKey) {
+        const col = tableInfo.columns.find(c => c.Field === key);
+        if (!maskableKind(col.Type)) return `primary key column "${key}" is ${col.Type}`;
+        if (maskingFor(config, tableName, key)) return `primary key column "${key}" is masked`;
+    }
+    return null;
+}
+
+// SQLite literal for a key value read back from D1 as text
+function keyLiteral(migrator, kind, value) {
+    return kind === 'integer' && /^-?\d+$/.test(value) ? value : migrator.escapeForSQLite(value);
+}
+
+// Page through the primary keys in D1 and look each page up in MySQL; keys MySQL
+// doesn't return (deleted, or no longer passing the row filter) are collected as
+// DELETE statements, one per page.
+async function findDeletedRows(migrator, tableName, tableInfo, chunkSize) {
+    const kinds = tableInfo.primaryKey.map(key => maskableKind(tableInfo.columns.find(c => c.Field === key).Type));
+    const d1Keys = tableInfo.primaryKey.map(key => migrator.quoteColumn(tableName, key));
+    const d1KeyList = d1Keys.length === 1 ? d1Keys[0] : `(${d1Keys.join(', ')})`;
+    const mysqlKeys = tableInfo.primaryKey.map(key => migrator.mysqlConnection.escapeId(key));
+    const mysqlKeyList = mysqlKeys.length === 1 ? mysqlKeys[0] : `(${mysqlKeys.join(', ')})`;
+    const { where } = rowFilterFor(migrator.config, tableName);
+    const tuple = (values) => {
+        const literals = values.map((value, i) => keyLiteral(migrator, kinds[i], value));
+        return literals.length === 1 ? literals[0] : `(${literals.join(', ')})`;
+    };
+
+    const deletes = [];
+    let deletedRows = 0;
+    let lastKey = null;
+    while (true) {
+        // Keys are read as text so BIGINT values don't pass through a JavaScript number
+        const page = await executeD1RawSQL(
+            `SELECT ${d1Keys.map(key => `CAST(${key} AS TEXT)`).join(', ')} FROM ${migrator.quoteTable(tableName)}` +
+            `${lastKey ? ` WHERE ${d1KeyList} > ${tuple(lastKey)}` : ''} ORDER BY ${d1Keys.join(', ')} LIMIT ${chunkSize};`
+        );
+        const keys = page[0].results.rows;
+        if (keys.length === 0) break;
+
+        const placeholders = keys.map(() => (mysqlKeys.length === 1 ? '?' : `(${mysqlKeys.map(() => '?').join(', ')})`));
+        const [found] = await migrator.mysqlConnection.query(
+            `SELECT ${mysqlKeys.join(', ')} FROM ${migrator.mysqlConnection.escapeId(tableName)} WHERE ${mysqlKeyList} IN (${placeholders.join(', ')})${where ? ` AND (${where})` : ''}`,
+            keys.flat()
+        );
+        const existing = new Set(found.map(row => JSON.stringify(tableInfo.primaryKey.map(key => String(row[key])))));
+        const missing = keys.filter(key => !existing.has(JSON.stringify(key)));
+
+        if (missing.length > 0) {
+            deletedRows += missing.length;
+            deletes.push(`DELETE FROM ${migrator.quoteTable(tableName)} WHERE ${d1KeyList} IN (${d1Keys.length === 1 ? '' : 'VALUES '}${missing.map(tuple).join(', ')});`);
+        }
+        if (keys.length < chunkSize) break;
+        lastKey = keys[keys.length - 1];
+    }
+    return { deletes, deletedRows };
+}
+
+// Sync the configured tables. Upserts run parents first and deletes children first,
+// so foreign keys hold throughout. A table's watermark is saved once its upserts are
+// in D1; deletes are found again on every run and need no state. A dry run counts the
+// changed and deleted rows without changing D1 or the state file. Returns
+// { table: { upserted, deleted } } by SQLite table name.
+async function syncIncremental(config, { dryRun = false } = {}) {
+    const syncTables = Object.keys(config.incremental);
+    if (syncTables.length === 0) {
+        throw new Error(`No tables to sync: add an "incremental" section to ${config.source === 'default config' ? 'd1-migrate.config.json' : config.source}`);
+    }
+    if (!process.env.MYSQL_URL) {
+        throw new Error('Missing environment variable: MYSQL_URL');
+    }
+    requireD1Env();
+
+    const stateFile = config.output.syncState;
+    const state = loadSyncState(stateFile, process.env.D1_DATABASE_ID);
+    const migrator = new MySQLToSQLiteMigrator(parseMySQLUrl(process.env.MYSQL_URL), { config, ...migratorOptionsFromEnv() });
+    const summary = {};
+
+    try {
+        await migrator.connectToMySQL();
+        const allTables = await migrator.getTableNames();
+        const tableInfos = new Map();
+        for (const tableName of syncTables.filter(name => allTables.includes(name))) {
+            tableInfos.set(tableName, await readSyncTableInfo(migrator, tableName));
+        }
+        checkSyncTables(config, tableInfos, allTables);
+
+        const { order } = orderTablesByDependencies(syncTables, new Map(syncTables.map(name => [name, tableInfos.get(name).foreignKeys])));
+        console.log(`🔄 ${dryRun ? 'Dry run: checking' : 'Syncing'} ${order.length} tables since their last sync (${stateFile})`);
+
+        for (const tableName of order) {
+            const { column } = incrementalFor(config, tableName);
+            const tableInfo = tableInfos.get(tableName);
+            const previous = state.tables[tableName]?.watermark ?? null;
+            const current = await currentWatermark(migrator, tableName, column);
+            const comparison = watermarkComparison(tableInfo.columns.find(c => c.Field === column).Type);
+            const changed = changedRowsCondition(migrator, column, comparison, previous, current);
+            const name = sqliteTableName(config, tableName);
+            summary[name] = { upserted: 0, deleted: 0 };
+
+            console.log(`\n📊 ${name}: ${column} ${previous === null ? 'first sync' : `${comparison} ${previous}`} up to ${current ?? 'no value'}`);
+            if (!changed) {
+                console.log('   • No rows to check');
+            } else if (dryRun) {
+                summary[name].upserted = await countChangedRows(migrator, tableName, changed);
+                console.log(`   • Would upsert ${summary[name].upserted} rows`);
+            } else {
+                summary[name].upserted = await upsertChangedRows(migrator, tableName, tableInfo, changed, batchSizeFor(config, name));
+                console.log(`   ✅ ${summary[name].upserted} rows upserted`);
+            }
+
+            if (!dryRun) {
+                state.tables[tableName] = { column, watermark: current ?? previous ?? null, syncedAt: new Date().toISOString() };
+                saveSyncState(stateFile, state);
+            }
+        }
+
+        const deleteTables = order.filter(name => incrementalFor(config, name).detectDeletes);
+        if (deleteTables.length > 0) {
+            console.log('\n🗑️ Looking for rows deleted in MySQL...');
+        }
+        for (const tableName of [...deleteTables].reverse()) {
+            const name = sqliteTableName(config, tableName);
+            const problem = deleteDetectionProblem(config, tableName, tableInfos.get(tableName));
+            if (problem) {
+                console.warn(`   ⚠️ ${name}: deletions not detected, ${problem} (set detectDeletes: false to silence this)`);
+                continue;
+            }
+
+            const { deletes, deletedRows } = await findDeletedRows(migrator, tableName, tableInfos.get(tableName), migrator.options.chunkSize);
+            summary[name].deleted = deletedRows;
+            if (deletedRows === 0) {
+                console.log(`   • ${name}: none`);
+            } else if (dryRun) {
+                console.log(`   • ${name}: would delete ${deletedRows} rows`);
+            } else {
+                await sendStatements(deletes, batchSizeFor(config, name));
+                console.log(`   ✅ ${name}: deleted ${deletedRows} rows`);
+            }
+        }
+
+        console.log(`\n✅ ${dryRun ? 'Dry run complete; nothing was changed' : 'Sync complete'}`);
+        return summary;
+    } finally {
+        await migrator.disconnect();
+    }
+}
+
+async function main() {
+    try {
+        await syncIncremental(loadMigrationConfig(), { dryRun: process.argv.includes('--dry-run') });
+    } catch (error) {
+        console.error('💥 Sync failed:', error.message);
+        if (error.response && error.response.data) {
+            console.error('D1 API Error:', JSON.stringify(error.response.data, null, 2));
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = { syncIncremental, loadSyncState };
@@ -2,97 +2,102 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const { MySQLToSQLiteMigrator, parseMySQLUrl } = require('./mysql-to-sqlite');
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig, mysqlTableName, batchSizeFor } = require('./migration-config');
+const { d1Request, D1Error } = require('./d1-request');
+const { splitSQLStatements } = require('./sql-splitter');
+const { createBatches } = require('./sql-batches');
+const {
+    checkpointPath,
+    createCheckpoint,
+    saveCheckpoint,
+    loadCheckpoint,
+    removeCheckpoint,
+    checkpointFileProblems,
+    checkpointStateProblems,
+    recordStatement
+} = require('./push-checkpoint');
 
-const MIGRATION_FILE = './temp/migration.sql';
+// D1 settings are read when a request is made, so the CLI can set them from flags
+function requireD1Env() {
+    if (!process.env.CLOUDFLARE_ACCOUNT_ID || !process.env.D1_DATABASE_ID || !process.env.CLOUDFLARE_API_TOKEN) {
+        throw new Error('Missing required D1 environment variables: CLOUDFLARE_ACCOUNT_ID, D1_DATABASE_ID, CLOUDFLARE_API_TOKEN');
+    }
+}
 
-const CF_ACCOUNT_ID = process.env.CLOUDFLARE_ACCOUNT_ID;
-const CF_DATABASE_ID = process.env.D1_DATABASE_ID;
-const CF_API_TOKEN = process.env.CLOUDFLARE_API_TOKEN;
-const CF_RAW_URL = `https://api.cloudflare.com/client/v4/accounts/${CF_ACCOUNT_ID}/d1/database/${CF_DATABASE_ID}/raw`;
+// D1 always enforces foreign keys and ignores PRAGMA foreign_keys inside its
+// transactions. Deferring the checks to the end of a request is the only switch it
+// honours, and it has to be repeated in every request.
+const DEFER_FOREIGN_KEYS = 'PRAGMA defer_foreign_keys = ON;';
 
+// Run SQL through the /raw endpoint; several statements run as one transaction
 async function executeD1RawSQL(sql) {
-    const res = await axios.post(CF_RAW_URL, { sql }, {
-        headers: { 
-            'Authorization': `Bearer ${CF_API_TOKEN}`,
-            'Content-Type': 'application/json'
-        },
-        maxBodyLength: Infinity
-    });
-    if (!res.data.success) throw new Error(JSON.stringify(res.data));
-    return res.data.result;
+    const data = await d1Request('POST', '/raw', { sql }, { statement: sql });
+    return data.result;
 }
 
-// Parse SQL statements from the migration file
+// Run statements as one request with foreign key checks deferred to its end, so a
+// row may come before the row it references. Returns one result per statement.
+async function executeDeferred(statements) {
+    const results = await executeD1RawSQL([DEFER_FOREIGN_KEYS, ...statements].join('\n'));
+    return results.slice(1);
+}
+
+// Parse SQL statements from the migration file. PRAGMAs are left out: the push
+// defers foreign key checks in every request itself.
 function parseSQLFile(filePath) {
     if (!fs.existsSync(filePath)) {
         throw new Error(`Migration file not found: ${filePath}`);
     }
 
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n');
-    
-    const statements = [];
-    let currentStatement = '';
-    let inMultiLineStatement = false;
-    
-    for (const line of lines) {
-        const trimmedLine = line.trim();
-        
-        // Skip empty lines and comments
-        if (!trimmedLine || trimmedLine.startsWith('--') || trimmedLine.startsWith('PRAGMA')) {
-            continue;
-        }
-        
-        currentStatement += line + '\n';
-        
-        // Check if this line ends a statement
-        if (trimmedLine.endsWith(';')) {
-            // Handle multi-line INSERT statements properly
-            if (currentStatement.trim()) {
-                statements.push(currentStatement.trim());
-            }
-            currentStatement = '';
-            inMultiLineStatement = false;
-        } else if (trimmedLine.includes('CREATE TABLE') || trimmedLine.includes('INSERT INTO')) {
-            inMultiLineStatement = true;
-        }
-    }
-    
-    // Add any remaining statement
-    if (currentStatement.trim()) {
-        statements.push(currentStatement.trim());
-    }
-    
-    return statements;
+    return splitSQLStatements(fs.readFileSync(filePath, 'utf8'))
+        .filter(statement => !/^PRAGMA\b/i.test(statement));
 }
 
-// Separate CREATE TABLE and INSERT statements
+// Split statements into the schema, data and post-data (indexes etc.) phases,
+// keeping file order within each phase. Once post-data has begun, INSERTs stay in
+// it: a foreign key rebuild copies rows with INSERT ... SELECT.
 function categorizeStatements(statements) {
     const schemas = [];
     const inserts = [];
+    const postData = [];
     
     for (const stmt of statements) {
         const trimmedStmt = stmt.trim().toUpperCase();
-        if (trimmedStmt.startsWith('CREATE TABLE')) {
-            schemas.push(stmt);
-        } else if (trimmedStmt.startsWith('INSERT INTO')) {
+        if (trimmedStmt.startsWith('INSERT INTO') && postData.length === 0) {
             inserts.push(stmt);
+        } else if (inserts.length > 0) {
+            postData.push(stmt);
+        } else {
+            schemas.push(stmt);
         }
     }
     
-    return { schemas, inserts };
+    return { schemas, inserts, postData };
 }
 
-// Batch statements for D1 API limits
-function createBatches(statements, batchSize = 200) {
+// Batch INSERTs table by table, each with the batch size configured for its table
+function createInsertBatches(inserts, config) {
     const batches = [];
+    let group = [];
+    let groupTable = null;
     
-    for (let i = 0; i < statements.length; i += batchSize) {
-        const batch = statements.slice(i, i + batchSize);
-        batches.push(batch.join('\n'));
+    const flush = () => {
+        if (group.length > 0) {
+            batches.push(...createBatches(group, batchSizeFor(config, groupTable)));
+        }
+        group = [];
+    };
+    
+    for (const statement of inserts) {
+        const tableName = extractTableName(statement);
+        if (tableName !== groupTable) {
+            flush();
+            groupTable = tableName;
+        }
+        group.push(statement);
     }
+    flush();
     
     return batches;
 }
@@ -112,6 +117,21 @@ function extractTableName(statement) {
     return null;
 }
 
+// Short label for progress output, e.g. "table: users" or "index: users_email"
+function describeStatement(statement, fallback) {
+    const tableName = extractTableName(statement);
+    if (tableName) {
+        return `table: ${tableName}`;
+    }
+    
+    const indexMatch = statement.match(/CREATE (?:UNIQUE )?INDEX (?:IF NOT EXISTS )?(?:"([^"]+)"|(\w+))/i);
+    if (indexMatch) {
+        return `index: ${indexMatch[1] || indexMatch[2]}`;
+    }
+    
+    return fallback;
+}
+
 // Get unique table names from statements
 function getTableNames(statements) {
     const tableNames = new Set();
@@ -126,7 +146,7 @@ function getTableNames(statements) {
     return Array.from(tableNames);
 }
 
-async function generateMigrationFile() {
+async function generateMigrationFile(config) {
     console.log('🔧 Generating SQLite migration file from MySQL...');
     
     if (!process.env.MYSQL_URL) {
@@ -134,11 +154,12 @@ async function generateMigrationFile() {
     }
     
     const mysqlConfig = parseMySQLUrl(process.env.MYSQL_URL);
-    const migrator = new MySQLToSQLiteMigrator(mysqlConfig);
+    // The push can't hold foreign key cycles open across requests, see checkPushable()
+    const migrator = new MySQLToSQLiteMigrator(mysqlConfig, { config, ...migratorOptionsFromEnv(), fkCycleStrategy: 'rebuild' });
     
     try {
         await migrator.connectToMySQL();
-        const statementCount = await migrator.generateSQLFile();
+        const statementCount = await migrator.generateSQLFile(config.output.sqlFile);
         console.log(`✅ Generated migration file with ${statementCount} statements`);
         
         // Validate the generated SQL
@@ -171,33 +192,46 @@ async function getAllD1Tables() {
     }
 }
 
-async function cleanD1Database() {
+async function getAllD1Views() {
+    try {
+        const result = await executeD1RawSQL(`SELECT name FROM sqlite_master WHERE type='view' ORDER BY name;`);
+        return result[0].results.rows.map(row => row[0]);
+    } catch (error) {
+        console.warn('   ⚠️ Could not get view list');
+        return [];
+    }
+}
+
+async function cleanD1Database({ dryRun = false } = {}) {
     console.log('🧹 Cleaning D1 database...');
     
-    // Disable foreign key constraints
-    console.log('   • Disabling foreign key constraints...');
-    await executeD1RawSQL('PRAGMA foreign_keys = OFF;');
+    if (dryRun) {
+        const views = await getAllD1Views();
+        const tables = (await getAllD1Tables()).filter(table => table !== '_cf_KV');
+        console.log(`   📝 Dry run: would drop ${views.length} views and ${tables.length} tables (skipping _cf_KV)`);
+        views.forEach(view => console.log(`     • view: ${view}`));
+        tables.forEach(table => console.log(`     • table: ${table}`));
+        return;
+    }
     
-    // Get all existing tables
-    const existingTables = await getAllD1Tables();
+    // Views go before the tables they select from. Tables are dropped in one request
+    // with foreign key checks deferred: dropping a referenced table on its own fails
+    // while the tables that reference it still hold rows.
+    const existingViews = await getAllD1Views();
+    const tablesToDrop = (await getAllD1Tables()).filter(table => table !== '_cf_KV');
     
-    if (existingTables.length === 0) {
+    if (existingViews.length === 0 && tablesToDrop.length === 0) {
         console.log('   • Database is already clean');
         return;
     }
     
-    // Drop all existing tables except _cf_KV
-    const tablesToDrop = existingTables.filter(table => table !== '_cf_KV');
-    console.log(`   • Dropping ${tablesToDrop.length} existing tables (skipping _cf_KV)...`);
-    
-    for (const table of tablesToDrop) {
-        try {
-            await executeD1RawSQL(`DROP TABLE IF EXISTS "${table}";`);
-            console.log(`     ✓ Dropped table: ${table}`);
-        } catch (error) {
-            console.warn(`     ⚠️ Could not drop table ${table}: ${error.message}`);
-        }
-    }
+    console.log(`   • Dropping ${existingViews.length} views and ${tablesToDrop.length} tables (skipping _cf_KV)...`);
+    await executeDeferred([
+        ...existingViews.map(view => `DROP VIEW IF EXISTS "${view.replace(/"/g, '""')}";`),
+        ...tablesToDrop.map(table => `DROP TABLE IF EXISTS "${table.replace(/"/g, '""')}";`)
+    ]);
+    existingViews.forEach(view => console.log(`     ✓ Dropped view: ${view}`));
+    tablesToDrop.forEach(table => console.log(`     ✓ Dropped table: ${table}`));
     
     // Verify database is clean (excluding _cf_KV)
     const remainingTables = await getAllD1Tables().then(tables => tables.filter(t => t !== '_cf_KV'));
@@ -208,85 +242,244 @@ async function cleanD1Database() {
     }
 }
 
-async function migrateSQLiteToD1() {
+// Row counts of every D1 table except _cf_KV
+async function getD1TableCounts() {
+    const counts = {};
+    for (const table of (await getAllD1Tables()).filter(name => name !== '_cf_KV')) {
+        const result = await executeD1RawSQL(`SELECT COUNT(*) FROM "${table.replace(/"/g, '""')}";`);
+        counts[table] = result[0].results.rows[0][0];
+    }
+    return counts;
+}
+
+function describeD1Error(error) {
+    return error.response?.data?.errors?.[0]?.message || error.message;
+}
+
+// D1 runs a multi-statement request as a transaction, so a rejected batch should have
+// left D1 as the checkpoint describes. Splitting the batch is only safe if it did:
+// when part of it was applied anyway, retrying the halves would insert those rows twice.
+async function checkNothingApplied(checkpoint, statements, error) {
+    const problems = checkpointStateProblems(checkpoint, await getD1TableCounts());
+    if (problems.length > 0) {
+        throw new D1Error(`Batch of ${statements.length} statements failed (${describeD1Error(error)}), but D1 no longer matches the checkpoint, so it can't be retried in smaller batches:\n${problems.map(problem => `   - ${problem}`).join('\n')}`, {
+            status: error.status,
+            code: error.code,
+            statement: error.statement,
+            attempts: error.attempts,
+            response: error.response
+        });
+    }
+}
+
+// Run statements as one request, with foreign key checks deferred to its end, and
+// record them in the checkpoint. A request D1 rejected is split in halves until the
+// failing statement is isolated, once D1 is confirmed to hold none of it. Throttling,
+// server and network failures were already retried by the request layer and end the push.
+async function applyStatements(statements, checkpoint, firstIndex) {
+    let results;
+    try {
+        results = await executeDeferred(statements);
+    } catch (error) {
+        const rejected = error.status !== null && error.status !== 429 && error.status < 500;
+        if (!rejected) throw error;
+        if (statements.length === 1) {
+            throw new D1Error(`Statement ${firstIndex + 1} (${describeStatement(statements[0], 'statement')}) failed: ${describeD1Error(error)}\n   ${statements[0].slice(0, 200)}`, {
+                status: error.status,
+                code: error.code,
+                statement: statements[0],
+                attempts: error.attempts,
+                response: error.response
+            });
+        }
+        await checkNothingApplied(checkpoint, statements, error);
+        const middle = Math.ceil(statements.length / 2);
+        console.warn(`     ⚠️ Batch of ${statements.length} statements failed (${describeD1Error(error)}); retrying as ${middle} + ${statements.length - middle}`);
+        await applyStatements(statements.slice(0, middle), checkpoint, firstIndex);
+        await applyStatements(statements.slice(middle), checkpoint, firstIndex + middle);
+        return;
+    }
+    
+    statements.forEach((statement, i) => recordStatement(checkpoint, statement, results[i]?.meta?.changes));
+    saveCheckpoint(checkpoint);
+}
+
+// The defer strategy declares cycle-closing foreign keys DEFERRABLE INITIALLY DEFERRED
+// and relies on the whole load committing at once. A push commits every request, so
+// the first batch that references rows of a later one would fail.
+function checkPushable(statements) {
+    const deferred = statements
+        .filter(statement => /^CREATE TABLE\b/i.test(statement) && /\bDEFERRABLE\s+INITIALLY\s+DEFERRED\b/i.test(statement))
+        .map(statement => extractTableName(statement));
+    if (deferred.length > 0) {
+        throw new Error(`The migration file defers foreign keys of ${deferred.join(', ')} to the end of the load, which a push can't do: every batch is its own transaction. Regenerate it with MIGRATE_FK_CYCLE_STRATEGY=rebuild, or load it with the D1 import API (d1-migrate import).`);
+    }
+}
+
+// Post-data statements grouped into the requests they are sent in, each group with
+// the index of its first statement. Statements go one per request, except a foreign
+// key rebuild: D1 only accepts it as a whole, so it runs from the first to the last
+// statement naming its __fk_rebuild table. The first skip statements are left out.
+function groupPostDataStatements(statements, skip = 0) {
+    const groups = [];
+    let i = 0;
+    while (i < statements.length) {
+        const rebuildTable = statements[i].match(/"[^"]*__fk_rebuild"/);
+        const end = rebuildTable ? statements.findLastIndex(statement => statement.includes(rebuildTable[0])) : i;
+        if (end >= skip) {
+            const firstIndex = Math.max(i, skip);
+            groups.push({ statements: statements.slice(firstIndex, end + 1), firstIndex });
+        }
+        i = end + 1;
+    }
+    return groups;
+}
+
+// Check that a checkpoint belongs to this file and database and that D1 still holds
+// exactly what it recorded
+async function verifyCheckpoint(checkpoint, migrationFile, totalStatements) {
+    const fileProblems = checkpointFileProblems(checkpoint, migrationFile, process.env.D1_DATABASE_ID, totalStatements);
+    const problems = fileProblems.length > 0 ? fileProblems : checkpointStateProblems(checkpoint, await getD1TableCounts());
+    if (problems.length > 0) {
+        throw new Error(`Cannot resume from ${checkpointPath(migrationFile)}:\n${problems.map(problem => `   - ${problem}`).join('\n')}\nRun without --resume to start over.`);
+    }
+}
+
+// Push the SQL file to D1. Progress is saved to a checkpoint file after every
+// request; with resume, a push continues after the last applied statement instead
+// of cleaning D1. A dry run only reports the statements and batches that would be
+// sent. Returns the row count verification, or null when skipped.
+async function migrateSQLiteToD1(config, { dryRun = false, resume = false } = {}) {
     console.log('🚀 Starting SQLite file → D1 migration...');
+    const migrationFile = config.output.sqlFile;
     
     // Check if migration file exists, if not generate it
-    if (!fs.existsSync(MIGRATION_FILE)) {
+    if (!fs.existsSync(migrationFile)) {
+        if (dryRun || resume) {
+            throw new Error(`Migration file not found: ${migrationFile}`);
+        }
         console.log('📄 Migration file not found, generating it...');
-        await generateMigrationFile();
+        fs.mkdirSync(path.dirname(migrationFile), { recursive: true });
+        await generateMigrationFile(config);
     }
     
     // Parse the migration file
     console.log('📖 Reading migration file...');
-    const allStatements = parseSQLFile(MIGRATION_FILE);
-    const { schemas, inserts } = categorizeStatements(allStatements);
+    const allStatements = parseSQLFile(migrationFile);
+    checkPushable(allStatements);
+    const { schemas, inserts, postData } = categorizeStatements(allStatements);
+    const totalStatements = schemas.length + inserts.length + postData.length;
     
-    console.log(`Found ${schemas.length} CREATE TABLE statements`);
+    console.log(`Found ${schemas.length} schema statements`);
     console.log(`Found ${inserts.length} INSERT statements`);
+    console.log(`Found ${postData.length} post-data statements (indexes, table rebuilds, views)`);
     
     const tableNames = getTableNames([...schemas, ...inserts]);
     console.log(`📋 Tables to migrate: ${tableNames.join(', ')}`);
     
+    let checkpoint = null;
+    if (resume) {
+        console.log(`\n🔁 Checking checkpoint ${checkpointPath(migrationFile)}...`);
+        checkpoint = loadCheckpoint(migrationFile);
+        await verifyCheckpoint(checkpoint, migrationFile, totalStatements);
+        const position = checkpoint.phase ? `, stopped in ${checkpoint.phase} batch ${checkpoint.batch}` : '';
+        console.log(`   ✅ D1 matches the checkpoint: ${checkpoint.appliedStatements}/${totalStatements} statements applied${position}`);
+    }
+    const applied = checkpoint ? checkpoint.appliedStatements : 0;
+    
+    // Statements still to run in each phase, with their index in file order
+    const remainingSchemas = schemas.slice(Math.min(applied, schemas.length));
+    const insertOffset = schemas.length;
+    const remainingInserts = inserts.slice(Math.max(applied - insertOffset, 0));
+    const postDataOffset = schemas.length + inserts.length;
+    const remainingPostData = postData.slice(Math.max(applied - postDataOffset, 0));
+    const insertBatches = createInsertBatches(remainingInserts, config);
+    
+    if (dryRun) {
+        console.log(`\n📝 Dry run: nothing is sent to D1`);
+        if (!resume) {
+            console.log('   • Would clean the D1 database');
+        }
+        console.log(`   • Would create ${remainingSchemas.length} schema objects`);
+        console.log(`   • Would insert ${remainingInserts.length} INSERT statements in ${insertBatches.length} batches`);
+        console.log(`   • Would run ${remainingPostData.length} post-data statements`);
+        return null;
+    }
+    
     try {
-        // Step 1: Clean D1 database completely
-        await cleanD1Database();
-        
-        // Step 2: Set up D1 for migration
-        console.log('\n⚙️ Configuring D1 for migration...');
-        await executeD1RawSQL('PRAGMA foreign_keys = OFF;');
-        // await executeD1RawSQL('PRAGMA journal_mode = WAL;');
-        // await executeD1RawSQL('PRAGMA synchronous = NORMAL;');
-        console.log('   ✅ D1 configured for migration');
+        if (!checkpoint) {
+            // Step 1: Clean D1 database completely
+            await cleanD1Database();
+            checkpoint = createCheckpoint(migrationFile, process.env.D1_DATABASE_ID, totalStatements);
+            saveCheckpoint(checkpoint);
+        }
         
-        // Step 3: Create all table schemas
-        console.log('\n🏗️ Creating table schemas...');
-        for (let i = 0; i < schemas.length; i++) {
-            const schema = schemas[i];
-            const tableName = extractTableName(schema);
-            
-            console.log(`   • Creating table: ${tableName || `schema-${i + 1}`}`);
-            await executeD1RawSQL(schema);
+        // Step 2: Create all table schemas
+        if (remainingSchemas.length > 0) {
+            console.log('\n🏗️ Creating table schemas...');
+            for (let i = 0; i < remainingSchemas.length; i++) {
+                const schema = remainingSchemas[i];
+                
+                console.log(`   • Creating ${describeStatement(schema, `schema-${i + 1}`)}`);
+                checkpoint.phase = 'schema';
+                checkpoint.batch = schemas.length - remainingSchemas.length + i + 1;
+                await applyStatements([schema], checkpoint, checkpoint.appliedStatements);
+            }
         }
         
-        // Step 4: Insert data in batches
-        if (inserts.length > 0) {
+        // Step 3: Insert data in batches
+        if (insertBatches.length > 0) {
             console.log('\n📊 Inserting data...');
-            const insertBatches = createBatches(inserts, 200);
-            
-            console.log(`   • Processing ${inserts.length} INSERT statements in ${insertBatches.length} batches`);
+            console.log(`   • Processing ${remainingInserts.length} INSERT statements in ${insertBatches.length} batches`);
             
+            const firstBatch = checkpoint.phase === 'insert' ? checkpoint.batch : 0;
             for (let i = 0; i < insertBatches.length; i++) {
                 console.log(`   • Executing batch ${i + 1}/${insertBatches.length}...`);
-                await executeD1RawSQL(insertBatches[i]);
+                checkpoint.phase = 'insert';
+                checkpoint.batch = firstBatch + i + 1;
+                await applyStatements(insertBatches[i], checkpoint, checkpoint.appliedStatements);
             }
-        } else {
+        } else if (inserts.length === 0) {
             console.log('\n📊 No data to insert (schema-only migration)');
         }
         
-        // Step 5: Re-enable foreign keys after migration
-        console.log('\n🔗 Re-enabling foreign key constraints...');
-        await executeD1RawSQL('PRAGMA foreign_keys = ON;');
-        console.log('   ✅ Foreign keys re-enabled');
+        // Step 4: Create indexes, rebuild tables and create views once the data is in place
+        if (remainingPostData.length > 0) {
+            console.log('\n🗂️ Running post-data statements...');
+            for (const group of groupPostDataStatements(postData, postData.length - remainingPostData.length)) {
+                const more = group.statements.length > 1 ? ` (+${group.statements.length - 1} statements)` : '';
+                console.log(`   • ${group.statements[0].split('\n')[0].slice(0, 100)}${more}`);
+                checkpoint.phase = 'post-data';
+                checkpoint.batch = group.firstIndex + 1;
+                await applyStatements(group.statements, checkpoint, checkpoint.appliedStatements);
+            }
+        }
         
+        removeCheckpoint(migrationFile);
         console.log('\n✅ Migration completed successfully!');
         
-        // Step 6: Verify migration
+        // Step 5: Verify migration
         if (process.env.MYSQL_URL) {
             console.log('\n🔍 Verifying migration...');
-            await verifyMigration(tableNames);
+            return await verifyMigration(tableNames, config);
         }
+        return null;
         
     } catch (error) {
         console.error('💥 Migration failed:', error.message);
         if (error.response && error.response.data) {
             console.error('D1 API Error:', JSON.stringify(error.response.data, null, 2));
         }
+        if (checkpoint) {
+            console.error(`💾 Progress saved to ${checkpointPath(migrationFile)} (${checkpoint.appliedStatements}/${totalStatements} statements); rerun with --resume to continue`);
+        }
         throw error;
     }
 }
 
-async function verifyMigration(tableNames) {
+// Compare the D1 tables and their row counts with MySQL. Returns
+// { missingTables, extraTables, matches, mismatches, errors }.
+async function verifyMigration(tableNames, config) {
     console.log('🔍 Verifying migration results...');
     
     // First verify D1 tables were created
@@ -306,13 +499,15 @@ async function verifyMigration(tableNames) {
         console.warn(`   ⚠️ Unexpected tables: ${extraTables.join(', ')}`);
     }
     
+    const result = { missingTables, extraTables, matches: 0, mismatches: 0, errors: 0 };
+    
     if (!process.env.MYSQL_URL) {
         console.log('   ℹ️ Skipping row count verification (no MySQL connection)');
-        return;
+        return result;
     }
     
     const mysqlConfig = parseMySQLUrl(process.env.MYSQL_URL);
-    const migrator = new MySQLToSQLiteMigrator(mysqlConfig);
+    const migrator = new MySQLToSQLiteMigrator(mysqlConfig, { config });
     
     try {
         await migrator.connectToMySQL();
@@ -320,16 +515,11 @@ async function verifyMigration(tableNames) {
         console.log('   📊 Comparing row counts...');
         let totalMysqlRows = 0;
         let totalD1Rows = 0;
-        let matches = 0;
-        let mismatches = 0;
         
         for (const tableName of expectedTables) {
             try {
-                // Get MySQL count
-                const [mysqlResult] = await migrator.mysqlConnection.execute(
-                    `SELECT COUNT(*) as count FROM \`${tableName}\``
-                );
-                const mysqlCount = mysqlResult[0].count;
+                // Get MySQL count, after the table's row filter
+                const mysqlCount = await migrator.countTableRows(mysqlTableName(config, tableName));
                 
                 // Get D1 count
                 const d1Result = await executeD1RawSQL(`SELECT COUNT(*) FROM "${tableName}";`);
@@ -339,14 +529,15 @@ async function verifyMigration(tableNames) {
                 totalD1Rows += d1Count;
                 
                 if (mysqlCount === d1Count) {
-                    matches++;
+                    result.matches++;
                     console.log(`     ✅ ${tableName}: ${mysqlCount} rows`);
                 } else {
-                    mismatches++;
+                    result.mismatches++;
                     console.log(`     ❌ ${tableName}: MySQL=${mysqlCount}, D1=${d1Count}`);
                 }
                 
             } catch (tableError) {
+                result.errors++;
                 console.warn(`     ⚠️ Could not verify ${tableName}: ${tableError.message}`);
             }
         }
@@ -354,34 +545,52 @@ async function verifyMigration(tableNames) {
         console.log(`\n   📈 Summary:`);
         console.log(`     • Total MySQL rows: ${totalMysqlRows}`);
         console.log(`     • Total D1 rows: ${totalD1Rows}`);
-        console.log(`     • Matching tables: ${matches}`);
-        console.log(`     • Mismatched tables: ${mismatches}`);
+        console.log(`     • Matching tables: ${result.matches}`);
+        console.log(`     • Mismatched tables: ${result.mismatches}`);
         
-        if (mismatches === 0 && matches > 0) {
-            console.log(`     🎉 Perfect migration! All ${matches} tables match.`);
-        } else if (mismatches > 0) {
-            console.log(`     ⚠️ ${mismatches} tables have row count mismatches.`);
+        if (result.mismatches === 0 && result.matches > 0) {
+            console.log(`     🎉 Perfect migration! All ${result.matches} tables match.`);
+        } else if (result.mismatches > 0) {
+            console.log(`     ⚠️ ${result.mismatches} tables have row count mismatches.`);
         }
         
     } catch (error) {
+        result.errors++;
         console.warn('⚠️ Could not verify counts:', error.message);
     } finally {
         await migrator.disconnect();
     }
+    
+    return result;
 }
 
 async function main() {
-    // Validate environment variables
-    if (!CF_ACCOUNT_ID || !CF_DATABASE_ID || !CF_API_TOKEN) {
-        throw new Error('Missing required D1 environment variables: CLOUDFLARE_ACCOUNT_ID, D1_DATABASE_ID, CLOUDFLARE_API_TOKEN');
-    }
-    
     try {
-        await migrateSQLiteToD1();
+        // Validate environment variables
+        requireD1Env();
+        
+        // Read and validate the config before touching D1
+        const config = loadMigrationConfig();
+        await migrateSQLiteToD1(config, { resume: process.argv.includes('--resume') });
     } catch (error) {
         console.error('💥 Migration process failed:', error.message);
         process.exit(1);
     }
 }
 
-if (require.main === module) main();
\ No newline at end of file
+if (require.main === module) main();
+
+module.exports = {
+    migrateSQLiteToD1,
+    verifyMigration,
+    cleanD1Database,
+    generateMigrationFile,
+    executeD1RawSQL,
+    executeDeferred,
+    requireD1Env,
+    parseSQLFile,
+    categorizeStatements,
+    createInsertBatches,
+    extractTableName,
+    getTableNames
+};
\ No newline at end of file
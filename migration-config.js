@@ -0,0 +1,314 @@
+// Loads and validates d1-migrate.config.json / d1-migrate.config.js, the optional
+// project file shared by the migrator and the D1 scripts. Everything in it is keyed
+// by MySQL table and column names, also when tables or columns are renamed.
+const fs = require('fs');
+const path = require('path');
+const { MASKING_STRATEGIES } = require('./data-masking');
+
+const CONFIG_FILES = ['d1-migrate.config.json', 'd1-migrate.config.js'];
+
+const DEFAULT_CONFIG = {
+    // Table (and view) name globs; * matches any run of characters, ? a single one
+    include: ['*'],
+    exclude: [],
+    // { mysqlTable: 'sqlite_table' }
+    renameTables: {},
+    // { mysqlTable: { mysqlColumn: 'sqlite_column' } }
+    renameColumns: {},
+    // { mysqlTable: { mysqlColumn: 'TEXT' } }, replacing the mapped SQLite type
+    columnTypes: {},
+    // { mysqlTable: { where: 'created_at >= NOW() - INTERVAL 90 DAY', limit: 1000 } };
+    // the limit keeps the first rows in primary key order
+    rowFilters: {},
+    // { mysqlTable: { mysqlColumn: 'fake-email' } }, see data-masking.js
+    masking: {},
+    // { mysqlTable: { column: 'updated_at', detectDeletes: true } } for `d1-migrate sync`;
+    // the column is a timestamp or an auto-increment key that only grows
+    incremental: {},
+    output: {
+        sqlFile: './temp/migration.sql',
+        sqliteDb: 'localsqlite.db',
+        // Watermarks of incremental syncs, per table
+        syncState: './d1-sync-state.json',
+        // Wrangler migrations written by `d1-migrate migrations`
+        migrationsDir: './migrations',
+        // Row differences found by `d1-migrate verify-content`
+        contentReport: './temp/content-report.json'
+    },
+    // Statements per D1 request, with per-table overrides
+    batchSize: 200,
+    tableBatchSizes: {},
+    // MySQLToSQLiteMigrator options (see DEFAULT_OPTIONS); MIGRATE_* variables win
+    options: {}
+};
+
+const SQLITE_TYPES = ['INTEGER', 'TEXT', 'REAL', 'BLOB', 'NUMERIC', 'ANY'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+function globToRegExp(glob) {
+    const pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${pattern}$`);
+}
+
+// Validate a raw config object and merge it with the defaults. All problems are
+// reported together, prefixed with the file they came from.
+function validateMigrationConfig(raw, source = 'migration config') {
+    const errors = [];
+
+    if (!isPlainObject(raw)) {
+        throw new Error(`Invalid ${source}: expected an object`);
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (!(key in DEFAULT_CONFIG)) {
+            errors.push(`unknown key "${key}" (expected one of ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+        }
+    }
+
+    for (const key of ['include', 'exclude']) {
+        if (raw[key] === undefined) continue;
+        if (!Array.isArray(raw[key])) {
+            errors.push(`${key} must be an array of table name globs`);
+            continue;
+        }
+        raw[key].forEach((glob, i) => {
+            if (typeof glob !== 'string' || glob === '') errors.push(`${key}[${i}] must be a non-empty string`);
+        });
+    }
+
+    if (raw.renameTables !== undefined) {
+        if (!isPlainObject(raw.renameTables)) {
+            errors.push('renameTables must map MySQL table names to new names');
+        } else {
+            const targets = new Map();
+            for (const [table, target] of Object.entries(raw.renameTables)) {
+                if (typeof target !== 'string' || target === '') {
+                    errors.push(`renameTables.${table} must be a non-empty string`);
+                } else if (targets.has(target)) {
+                    errors.push(`renameTables.${table} and renameTables.${targets.get(target)} both rename to "${target}"`);
+                } else {
+                    targets.set(target, table);
+                }
+            }
+        }
+    }
+
+    // { table: { column: value } } maps
+    const validateColumnMap = (key, describe, check) => {
+        if (raw[key] === undefined) return;
+        if (!isPlainObject(raw[key])) {
+            errors.push(`${key} must map MySQL table names to { column: ${describe} } objects`);
+            return;
+        }
+        for (const [table, columns] of Object.entries(raw[key])) {
+            if (!isPlainObject(columns)) {
+                errors.push(`${key}.${table} must map column names to ${describe}`);
+                continue;
+            }
+            for (const [column, value] of Object.entries(columns)) {
+                const problem = check(value, columns);
+                if (problem) errors.push(`${key}.${table}.${column} ${problem}`);
+            }
+        }
+    };
+
+    validateColumnMap('renameColumns', 'new names', (value, columns) => {
+        if (typeof value !== 'string' || value === '') return 'must be a non-empty string';
+        if (Object.values(columns).filter(target => target === value).length > 1) return `renames to "${value}" like another column`;
+        return null;
+    });
+    validateColumnMap('columnTypes', 'SQLite types', value => (
+        typeof value === 'string' && SQLITE_TYPES.includes(value.toUpperCase())
+            ? null
+            : `must be one of ${SQLITE_TYPES.join(', ')}`
+    ));
+    validateColumnMap('masking', 'masking strategies', value => (
+        MASKING_STRATEGIES.includes(value) ? null : `must be one of ${MASKING_STRATEGIES.join(', ')}`
+    ));
+
+    if (raw.rowFilters !== undefined) {
+        if (!isPlainObject(raw.rowFilters)) {
+            errors.push('rowFilters must map MySQL table names to { where, limit } objects');
+        } else {
+            for (const [table, filter] of Object.entries(raw.rowFilters)) {
+                if (!isPlainObject(filter)) {
+                    errors.push(`rowFilters.${table} must be a { where, limit } object`);
+                    continue;
+                }
+                for (const key of Object.keys(filter)) {
+                    if (key !== 'where' && key !== 'limit') errors.push(`unknown key "rowFilters.${table}.${key}" (expected where or limit)`);
+                }
+                if (filter.where !== undefined && (typeof filter.where !== 'string' || filter.where.trim() === '')) {
+                    errors.push(`rowFilters.${table}.where must be a non-empty SQL condition`);
+                }
+                if (filter.limit !== undefined && !isPositiveInteger(filter.limit)) {
+                    errors.push(`rowFilters.${table}.limit must be a positive integer`);
+                }
+            }
+        }
+    }
+
+    if (raw.incremental !== undefined) {
+        if (!isPlainObject(raw.incremental)) {
+            errors.push('incremental must map MySQL table names to { column, detectDeletes } objects');
+        } else {
+            for (const [table, sync] of Object.entries(raw.incremental)) {
+                if (!isPlainObject(sync)) {
+                    errors.push(`incremental.${table} must be a { column, detectDeletes } object`);
+                    continue;
+                }
+                for (const key of Object.keys(sync)) {
+                    if (key !== 'column' && key !== 'detectDeletes') errors.push(`unknown key "incremental.${table}.${key}" (expected column or detectDeletes)`);
+                }
+                if (typeof sync.column !== 'string' || sync.column === '') {
+                    errors.push(`incremental.${table}.column must name the column that tracks changes`);
+                }
+                if (sync.detectDeletes !== undefined && typeof sync.detectDeletes !== 'boolean') {
+                    errors.push(`incremental.${table}.detectDeletes must be true or false`);
+                }
+            }
+        }
+    }
+
+    if (raw.output !== undefined) {
+        const outputKeys = Object.keys(DEFAULT_CONFIG.output).join(', ');
+        if (!isPlainObject(raw.output)) {
+            errors.push(`output must be an object with any of ${outputKeys}`);
+        } else {
+            for (const [key, value] of Object.entries(raw.output)) {
+                if (!(key in DEFAULT_CONFIG.output)) {
+                    errors.push(`unknown key "output.${key}" (expected one of ${outputKeys})`);
+                } else if (typeof value !== 'string' || value === '') {
+                    errors.push(`output.${key} must be a non-empty path`);
+                }
+            }
+        }
+    }
+
+    if (raw.batchSize !== undefined && !isPositiveInteger(raw.batchSize)) {
+        errors.push('batchSize must be a positive integer');
+    }
+    if (raw.tableBatchSizes !== undefined) {
+        if (!isPlainObject(raw.tableBatchSizes)) {
+            errors.push('tableBatchSizes must map MySQL table names to positive integers');
+        } else {
+            for (const [table, size] of Object.entries(raw.tableBatchSizes)) {
+                if (!isPositiveInteger(size)) errors.push(`tableBatchSizes.${table} must be a positive integer`);
+            }
+        }
+    }
+
+    if (raw.options !== undefined && !isPlainObject(raw.options)) {
+        errors.push('options must be an object of migrator options');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    return {
+        ...DEFAULT_CONFIG,
+        ...raw,
+        output: { ...DEFAULT_CONFIG.output, ...raw.output },
+        source
+    };
+}
+
+// Find and load the config file in a directory. D1_MIGRATE_CONFIG points at a
+// file explicitly. Without a file the defaults are returned.
+function loadMigrationConfig(dir = process.cwd(), env = process.env) {
+    let file = null;
+
+    if (env.D1_MIGRATE_CONFIG) {
+        file = path.resolve(dir, env.D1_MIGRATE_CONFIG);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Config file not found: ${file} (from D1_MIGRATE_CONFIG)`);
+        }
+    } else {
+        const found = CONFIG_FILES.map(name => path.join(dir, name)).filter(candidate => fs.existsSync(candidate));
+        if (found.length > 1) {
+            throw new Error(`Both ${CONFIG_FILES.join(' and ')} exist in ${dir}; keep only one`);
+        }
+        file = found[0] || null;
+    }
+
+    if (!file) {
+        return validateMigrationConfig({}, 'default config');
+    }
+
+    let raw;
+    try {
+        if (file.endsWith('.js')) {
+            raw = require(file);
+        } else {
+            raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+    } catch (error) {
+        throw new Error(`Could not read ${path.basename(file)}: ${error.message}`);
+    }
+
+    return validateMigrationConfig(raw, path.basename(file));
+}
+
+// Whether a MySQL table (or view) passes the include/exclude globs
+function isTableIncluded(config, tableName) {
+    const matches = globs => globs.some(glob => globToRegExp(glob).test(tableName));
+    return matches(config.include) && !matches(config.exclude);
+}
+
+// SQLite name of a MySQL table after renames
+function sqliteTableName(config, tableName) {
+    return config.renameTables[tableName] || tableName;
+}
+
+// SQLite name of a MySQL column after renames
+function sqliteColumnName(config, tableName, columnName) {
+    const columns = config.renameColumns[tableName];
+    return (columns && columns[columnName]) || columnName;
+}
+
+// MySQL name of a table named tableName in SQLite
+function mysqlTableName(config, tableName) {
+    const entry = Object.entries(config.renameTables).find(([, target]) => target === tableName);
+    return entry ? entry[0] : tableName;
+}
+
+// Row filter of a MySQL table: { where, limit } with either part possibly missing
+function rowFilterFor(config, tableName) {
+    return config.rowFilters[tableName] || {};
+}
+
+// Masking strategy of a MySQL column, or null
+function maskingFor(config, tableName, columnName) {
+    const columns = config.masking[tableName];
+    return (columns && columns[columnName]) || null;
+}
+
+// Incremental sync settings of a MySQL table: { column, detectDeletes }, or null
+function incrementalFor(config, tableName) {
+    const sync = config.incremental[tableName];
+    return sync ? { detectDeletes: true, ...sync } : null;
+}
+
+// Statements per D1 request for a table, by its SQLite name
+function batchSizeFor(config, tableName) {
+    const size = config.tableBatchSizes[mysqlTableName(config, tableName)];
+    return size || config.batchSize;
+}
+
+module.exports = {
+    loadMigrationConfig,
+    validateMigrationConfig,
+    isTableIncluded,
+    sqliteTableName,
+    sqliteColumnName,
+    mysqlTableName,
+    rowFilterFor,
+    maskingFor,
+    incrementalFor,
+    batchSizeFor,
+    DEFAULT_CONFIG,
+    CONFIG_FILES
+};
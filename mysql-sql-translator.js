@@ -0,0 +1,457 @@
+// Translates MySQL SQL fragments (view definitions, expressions) into SQLite.
+// The input is tokenized so that strings and quoted identifiers are never
+// rewritten by accident; function calls are translated recursively.
+// Anything without a SQLite equivalent is collected in `unsupported` instead
+// of being guessed, so the caller can report it for manual review.
+
+// Words that may be followed by "(" without being a function call
+const NON_FUNCTION_WORDS = new Set([
+    'all', 'and', 'any', 'as', 'between', 'by', 'case', 'distinct', 'else', 'end', 'exists',
+    'from', 'having', 'in', 'is', 'join', 'like', 'not', 'on', 'or', 'over', 'select', 'some',
+    'then', 'union', 'using', 'values', 'when', 'where', 'with'
+]);
+
+// Operators and keywords SQLite can't express
+const UNSUPPORTED_WORDS = new Set(['interval', 'div', 'regexp', 'rlike', 'xor', 'sounds']);
+
+// Functions that exist in SQLite with the same name and meaning
+const PASS_THROUGH_FUNCTIONS = new Set([
+    'abs', 'avg', 'coalesce', 'count', 'ifnull', 'nullif', 'lower', 'upper', 'max', 'min',
+    'sum', 'replace', 'round', 'trim', 'ltrim', 'rtrim', 'hex', 'instr', 'quote',
+    'json_array', 'json_object', 'json_valid', 'json_quote'
+]);
+
+const CURRENT_TIME_FUNCTIONS = {
+    now: "datetime('now')",
+    sysdate: "datetime('now')",
+    current_timestamp: "datetime('now')",
+    localtime: "datetime('now')",
+    localtimestamp: "datetime('now')",
+    utc_timestamp: "datetime('now')",
+    curdate: "date('now')",
+    current_date: "date('now')",
+    utc_date: "date('now')",
+    curtime: "time('now')",
+    current_time: "time('now')",
+    utc_time: "time('now')"
+};
+
+// Date part functions, translated through strftime
+const DATE_PART_FUNCTIONS = {
+    year: '%Y',
+    month: '%m',
+    day: '%d',
+    dayofmonth: '%d',
+    hour: '%H',
+    minute: '%M',
+    second: '%S'
+};
+
+function translateCastType(typeTokens) {
+    const type = typeTokens.map(token => token.text).join('').trim().toLowerCase();
+
+    if (/^(signed|unsigned)( integer| int)?$/.test(type)) return 'INTEGER';
+    if (/^(char|nchar|varchar|text)\b/.test(type) || /^(date|datetime|time|json)\b/.test(type)) return 'TEXT';
+    if (/^(decimal|numeric)\b/.test(type)) return 'NUMERIC';
+    if (/^(double|float|real)\b/.test(type)) return 'REAL';
+    if (/^binary\b/.test(type)) return 'BLOB';
+    return null;
+}
+
+// Unescape the body of a MySQL string literal
+function unescapeMySQLString(body, quote) {
+    const escapes = { '0': '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a' };
+    let value = '';
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\' && i + 1 < body.length) {
+            const next = body[++i];
+            if (next in escapes) {
+                value += escapes[next];
+            } else if (next === '%' || next === '_') {
+                // Kept escaped for LIKE patterns, as MySQL does
+                value += '\\' + next;
+            } else {
+                value += next;
+            }
+        } else if (char === quote && body[i + 1] === quote) {
+            value += quote;
+            i++;
+        } else {
+            value += char;
+        }
+    }
+
+    return value;
+}
+
+function quoteSQLiteString(value) {
+    return `'${value.replace(/'/g, "''")}'`;
+}
+
+function quoteSQLiteIdentifier(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = (quote) => {
+        let j = i + 1;
+        while (j < sql.length) {
+            if (sql[j] === '\\' && quote !== '`') {
+                j += 2;
+            } else if (sql[j] === quote) {
+                if (sql[j + 1] === quote) {
+                    j += 2;
+                } else {
+                    break;
+                }
+            } else {
+                j++;
+            }
+        }
+        if (j >= sql.length) {
+            throw new Error(`Unterminated ${quote} quote in SQL: ${sql.slice(i, i + 40)}`);
+        }
+        const text = sql.slice(i, j + 1);
+        i = j + 1;
+        return text;
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const rest = sql.slice(i);
+        let match;
+
+        if ((match = rest.match(/^\s+/))) {
+            tokens.push({ type: 'ws', text: match[0] });
+            i += match[0].length;
+        } else if (rest.startsWith('--') || char === '#') {
+            const end = sql.indexOf('\n', i);
+            const text = end === -1 ? rest : sql.slice(i, end);
+            tokens.push({ type: 'ws', text: ' ' });
+            i += text.length;
+        } else if (rest.startsWith('/*')) {
+            const end = sql.indexOf('*/', i + 2);
+            i = end === -1 ? sql.length : end + 2;
+            tokens.push({ type: 'ws', text: ' ' });
+        } else if (char === '`') {
+            const text = readQuoted('`');
+            tokens.push({ type: 'ident', text, value: text.slice(1, -1).replace(/``/g, '`') });
+        } else if (char === "'" || char === '"') {
+            const text = readQuoted(char);
+            tokens.push({ type: 'string', text, value: unescapeMySQLString(text.slice(1, -1), char) });
+        } else if ((match = rest.match(/^(0x[0-9a-f]+|\d+(\.\d*)?(e[+-]?\d+)?|\.\d+(e[+-]?\d+)?)/i))) {
+            tokens.push({ type: 'number', text: match[0] });
+            i += match[0].length;
+        } else if ((match = rest.match(/^[A-Za-z_$][\w$]*/))) {
+            tokens.push({ type: 'word', text: match[0], lower: match[0].toLowerCase() });
+            i += match[0].length;
+        } else if ((match = rest.match(/^(<=>|->>|->|<=|>=|<>|!=|\|\||&&|:=|<<|>>)/))) {
+            tokens.push({ type: 'op', text: match[0] });
+            i += match[0].length;
+        } else {
+            tokens.push({ type: 'op', text: char });
+            i++;
+        }
+    }
+
+    return tokens;
+}
+
+// Index of the ")" matching the "(" at openIndex
+function findClosingParen(tokens, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+        if (tokens[i].type !== 'op') continue;
+        if (tokens[i].text === '(') depth++;
+        if (tokens[i].text === ')') depth--;
+        if (depth === 0) return i;
+    }
+    throw new Error('Unbalanced parentheses in SQL');
+}
+
+// Split tokens at top-level occurrences of a predicate (commas by default)
+function splitTopLevel(tokens, isSeparator = token => token.type === 'op' && token.text === ',') {
+    const parts = [[]];
+    let depth = 0;
+
+    for (const token of tokens) {
+        if (token.type === 'op' && token.text === '(') depth++;
+        if (token.type === 'op' && token.text === ')') depth--;
+
+        if (depth === 0 && isSeparator(token)) {
+            parts.push([]);
+        } else {
+            parts[parts.length - 1].push(token);
+        }
+    }
+
+    return parts;
+}
+
+function nextSignificant(tokens, index) {
+    let i = index;
+    while (i < tokens.length && tokens[i].type === 'ws') i++;
+    return i;
+}
+
+function previousSignificant(tokens, index) {
+    let i = index;
+    while (i >= 0 && tokens[i].type === 'ws') i--;
+    return i;
+}
+
+class MySQLTranslator {
+    // renameIdentifier(name, qualifier) may rename quoted identifiers; qualifier is the
+    // identifier before it in a dotted name (`t`.`c` -> 't' for c), or null
+    constructor({ schema = null, functions = {}, renameIdentifier = null } = {}) {
+        this.schema = schema;
+        this.functions = functions;
+        this.renameIdentifier = renameIdentifier;
+        this.unsupported = new Set();
+    }
+
+    translate(sql) {
+        return this.translateTokens(tokenize(sql)).trim();
+    }
+
+    translateTokens(tokens) {
+        let out = '';
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'ident') {
+                // Drop the database qualifier: `db`.`table` -> "table"
+                const dot = nextSignificant(tokens, i + 1);
+                if (this.schema && token.value === this.schema && tokens[dot] && tokens[dot].text === '.') {
+                    i = dot;
+                    continue;
+                }
+                out += quoteSQLiteIdentifier(this.renameIdentifier
+                    ? this.renameIdentifier(token.value, this.qualifierOf(tokens, i))
+                    : token.value);
+            } else if (token.type === 'string') {
+                out += quoteSQLiteString(token.value);
+            } else if (token.type === 'word') {
+                const next = nextSignificant(tokens, i + 1);
+
+                // Charset introducers such as _utf8mb4'text'
+                if (token.text.startsWith('_') && tokens[i + 1] && tokens[i + 1].type === 'string') {
+                    continue;
+                }
+
+                if (token.lower === 'collate') {
+                    // SQLite only knows BINARY, NOCASE and RTRIM collations
+                    i = next;
+                    continue;
+                }
+
+                if (tokens[next] && tokens[next].text === '(' && !NON_FUNCTION_WORDS.has(token.lower)) {
+                    const close = findClosingParen(tokens, next);
+                    out += this.translateFunction(token, tokens.slice(next + 1, close));
+                    i = close;
+                    continue;
+                }
+
+                if (token.lower === 'limit') {
+                    const limit = this.translateLimit(tokens, i);
+                    if (limit) {
+                        out += limit.sql;
+                        i = limit.end;
+                        continue;
+                    }
+                }
+
+                if (UNSUPPORTED_WORDS.has(token.lower)) {
+                    this.unsupported.add(token.text.toUpperCase());
+                }
+
+                if (token.lower in CURRENT_TIME_FUNCTIONS && token.lower !== 'current_timestamp' &&
+                    token.lower !== 'current_date' && token.lower !== 'current_time') {
+                    out += CURRENT_TIME_FUNCTIONS[token.lower];
+                    continue;
+                }
+
+                out += token.text;
+            } else if (token.type === 'op' && token.text === '<=>') {
+                out += 'IS';
+            } else if (token.type === 'op' && (token.text === ':=' || token.text === '&&')) {
+                this.unsupported.add(token.text);
+                out += token.text;
+            } else {
+                out += token.text;
+            }
+        }
+
+        return out;
+    }
+
+    // Identifier that qualifies the identifier at index, ignoring the dropped schema
+    qualifierOf(tokens, index) {
+        const dot = previousSignificant(tokens, index - 1);
+        if (dot < 0 || tokens[dot].text !== '.') return null;
+
+        const qualifier = previousSignificant(tokens, dot - 1);
+        if (qualifier < 0 || tokens[qualifier].type !== 'ident') return null;
+        if (this.schema && tokens[qualifier].value === this.schema) return null;
+        return tokens[qualifier].value;
+    }
+
+    // MySQL "LIMIT offset, count" -> "LIMIT count OFFSET offset"
+    translateLimit(tokens, index) {
+        const first = nextSignificant(tokens, index + 1);
+        const comma = nextSignificant(tokens, first + 1);
+        const second = nextSignificant(tokens, comma + 1);
+
+        if (tokens[first] && tokens[first].type === 'number' &&
+            tokens[comma] && tokens[comma].text === ',' &&
+            tokens[second] && tokens[second].type === 'number') {
+            return { sql: `LIMIT ${tokens[second].text} OFFSET ${tokens[first].text}`, end: second };
+        }
+        return null;
+    }
+
+    translateFunction(nameToken, argTokens) {
+        const name = nameToken.lower;
+        const rawArgs = argTokens.some(token => token.type !== 'ws') ? splitTopLevel(argTokens) : [];
+        let translatedArgs = null;
+        const args = () => translatedArgs || (translatedArgs = rawArgs.map(arg => this.translateTokens(arg).trim()));
+
+        if (this.functions[name]) {
+            const translated = this.functions[name].call(this, args(), rawArgs);
+            if (translated !== null) return translated;
+        }
+
+        if (name in CURRENT_TIME_FUNCTIONS) {
+            return CURRENT_TIME_FUNCTIONS[name];
+        }
+
+        if (name in DATE_PART_FUNCTIONS) {
+            const [value] = args();
+            return `CAST(strftime('${DATE_PART_FUNCTIONS[name]}', ${value}) AS INTEGER)`;
+        }
+
+        switch (name) {
+            case 'if': {
+                const [condition, whenTrue, whenFalse] = args();
+                return `CASE WHEN ${condition} THEN ${whenTrue} ELSE ${whenFalse} END`;
+            }
+            case 'concat':
+                return `(${args().join(' || ')})`;
+            case 'lcase':
+                return `lower(${args()[0]})`;
+            case 'ucase':
+                return `upper(${args()[0]})`;
+            case 'left':
+                if (rawArgs.length !== 2) break;
+                return `substr(${args()[0]}, 1, ${args()[1]})`;
+            case 'right':
+                if (rawArgs.length !== 2) break;
+                return `substr(${args()[0]}, -(${args()[1]}))`;
+            case 'json_extract':
+                // SQLite's -> returns JSON text like MySQL's JSON_EXTRACT; several paths
+                // (which MySQL wraps in an array) have no direct equivalent
+                if (rawArgs.length !== 2) break;
+                return `(${args()[0]} -> ${args()[1]})`;
+            case 'json_unquote': {
+                // JSON_UNQUOTE(JSON_EXTRACT(doc, path)) is doc ->> path
+                const inner = rawArgs.length === 1 ? rawArgs[0].filter(token => token.type !== 'ws') : [];
+                if (inner.length > 0 && inner[0].type === 'word' && inner[0].lower === 'json_extract' &&
+                    inner[1] && inner[1].text === '(' && findClosingParen(inner, 1) === inner.length - 1) {
+                    const extractArgs = splitTopLevel(inner.slice(2, -1));
+                    if (extractArgs.length === 2) {
+                        const [doc, path] = extractArgs.map(arg => this.translateTokens(arg).trim());
+                        return `(${doc} ->> ${path})`;
+                    }
+                }
+                break;
+            }
+            case 'json_type':
+                // SQLite reports lowercase type names
+                return `upper(json_type(${args()[0]}))`;
+            case 'char_length':
+            case 'character_length':
+                return `length(${args()[0]})`;
+            case 'length':
+            case 'octet_length':
+                // MySQL LENGTH() counts bytes
+                return `length(CAST(${args()[0]} AS BLOB))`;
+            case 'substring':
+            case 'substr':
+            case 'mid':
+                if (rawArgs.length === 1) break; // SUBSTRING(x FROM a FOR b)
+                return `substr(${args().join(', ')})`;
+            case 'locate':
+                if (rawArgs.length !== 2) break;
+                return `instr(${args()[1]}, ${args()[0]})`;
+            case 'date':
+                return `date(${args()[0]})`;
+            case 'convert': {
+                // CONVERT(expr USING charset) only changes the character set
+                const [expression] = splitTopLevel(argTokens, token => token.type === 'word' && token.lower === 'using');
+                if (expression.length < argTokens.length) {
+                    return this.translateTokens(expression).trim();
+                }
+                if (rawArgs.length === 2) {
+                    const type = translateCastType(rawArgs[1]);
+                    if (type) return `CAST(${args()[0]} AS ${type})`;
+                }
+                break;
+            }
+            case 'cast': {
+                const parts = splitTopLevel(argTokens, token => token.type === 'word' && token.lower === 'as');
+                if (parts.length === 2) {
+                    const type = translateCastType(parts[1]);
+                    if (type) return `CAST(${this.translateTokens(parts[0]).trim()} AS ${type})`;
+                }
+                break;
+            }
+            case 'group_concat': {
+                // GROUP_CONCAT([DISTINCT] a, b, ... [SEPARATOR s]); ORDER BY inside is not translated
+                const parts = splitTopLevel(argTokens, token => token.type === 'word' && token.lower === 'separator');
+                if (parts.length > 2 || parts[0].some(token => token.type === 'word' && token.lower === 'order')) {
+                    break;
+                }
+                const values = splitTopLevel(parts[0]).map(part => this.translateTokens(part).trim());
+                const separator = parts[1] ? this.translateTokens(parts[1]).trim() : "','";
+                const distinct = /^distinct\b/i.test(values[0]);
+                if (distinct && (values.length > 1 || separator !== "','")) {
+                    break;
+                }
+                const value = values.length > 1 ? `(${values.join(' || ')})` : values[0];
+                return distinct ? `group_concat(${value})` : `group_concat(${value}, ${separator})`;
+            }
+            default:
+                if (PASS_THROUGH_FUNCTIONS.has(name)) {
+                    return `${nameToken.text}(${args().join(', ')})`;
+                }
+        }
+
+        this.unsupported.add(`${nameToken.text.toUpperCase()}()`);
+        return `${nameToken.text}(${this.translateTokens(argTokens)})`;
+    }
+}
+
+// Translate a MySQL SQL fragment. Returns { sql, unsupported } where unsupported
+// lists the functions and operators that could not be translated.
+function translateMySQL(sql, options = {}) {
+    const translator = new MySQLTranslator(options);
+    const translated = translator.translate(sql);
+    return { sql: translated, unsupported: Array.from(translator.unsupported) };
+}
+
+// Identifiers (quoted or bare) referenced by a MySQL fragment, lowercased
+function referencedIdentifiers(sql) {
+    return new Set(
+        tokenize(sql)
+            .filter(token => token.type === 'ident' || token.type === 'word')
+            .map(token => (token.type === 'ident' ? token.value : token.text).toLowerCase())
+    );
+}
+
+module.exports = { translateMySQL, referencedIdentifiers, tokenize, MySQLTranslator };
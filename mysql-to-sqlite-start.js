@@ -1,97 +1,172 @@
 require('dotenv').config();
-const { MySQLToSQLiteMigrator, parseMySQLUrl } = require('./mysql-to-sqlite');
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv, parseBooleanEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig } = require('./migration-config');
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 
-const TEMP_DIR = './temp';
-const MIGRATION_FILE = path.join(TEMP_DIR, 'migration.sql');
-const SQLITE_DB_FILE = 'localsqlite.db';
-
 // Function to remove the SQLite database file if it exists
-function removeSQLiteDBFile() {
-    if (fs.existsSync(SQLITE_DB_FILE)) {
-        fs.unlinkSync(SQLITE_DB_FILE);
-        console.log(`🗑️ Removed existing SQLite database file: ${SQLITE_DB_FILE}`);
+function removeSQLiteDBFile(sqliteDbFile) {
+    if (fs.existsSync(sqliteDbFile)) {
+        fs.unlinkSync(sqliteDbFile);
+        console.log(`🗑️ Removed existing SQLite database file: ${sqliteDbFile}`);
     }
 }
 
-// Function to create temp directory if it doesn't exist
-function ensureTempDirectory() {
-    if (!fs.existsSync(TEMP_DIR)) {
-        fs.mkdirSync(TEMP_DIR, { recursive: true });
-        console.log('📁 Created temp directory.');
+// Function to create the output directory if it doesn't exist
+function ensureOutputDirectory(migrationFile) {
+    const dir = path.dirname(migrationFile);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        console.log(`📁 Created ${dir} directory.`);
     }
 }
 
-async function main() {
+function createMigrator(config) {
     if (!process.env.MYSQL_URL) {
         throw new Error('Missing environment variable: MYSQL_URL');
     }
-
-    console.log('🚀 Starting MySQL to SQLite migration...');
-
     const mysqlConfig = parseMySQLUrl(process.env.MYSQL_URL);
-    const migrator = new MySQLToSQLiteMigrator(mysqlConfig);
+    return new MySQLToSQLiteMigrator(mysqlConfig, { config, ...migratorOptionsFromEnv() });
+}
+
+// Step 1: generate the SQL file. A dry run only lists the tables and the rows
+// that would be exported.
+async function exportSQL(config, { dryRun = false } = {}) {
+    const migrationFile = config.output.sqlFile;
+    const migrator = createMigrator(config);
 
     try {
-        // Step 1: Generate migration file
         console.log('📡 Step 1: Connecting to MySQL and generating SQL file...');
         await migrator.connectToMySQL();
-        const statementCount = await migrator.generateSQLFile(MIGRATION_FILE);
+
+        if (dryRun) {
+            const tableNames = await migrator.getTableNames();
+            console.log(`📝 Dry run: ${tableNames.length} tables would be exported to ${migrationFile}`);
+            for (const tableName of tableNames) {
+                console.log(`   • ${tableName}: ${await migrator.countTableRows(tableName)} rows`);
+            }
+            return 0;
+        }
+
+        ensureOutputDirectory(migrationFile);
+        const statementCount = await migrator.generateSQLFile(migrationFile);
 
         if (statementCount === 0) {
             throw new Error('No SQL statements were generated. Check if your MySQL database has tables and data.');
         }
 
-        console.log(`✅ Generated ${statementCount} SQL statements in ${MIGRATION_FILE}`);
+        console.log(`✅ Generated ${statementCount} SQL statements in ${migrationFile}`);
+        return statementCount;
+    } finally {
+        await migrator.disconnect();
+        console.log('🔌 MySQL connection closed.');
+    }
+}
 
-        // Step 2: Run migration on SQLite
-        console.log(`\n🧪 Step 2: Running migration on ${SQLITE_DB_FILE} for testing...`);
-        const db = new Database(SQLITE_DB_FILE);
+// Step 2: load the SQL file into a local SQLite database. A dry run loads it into
+// an in-memory database and leaves the database file alone. Returns the number of
+// values the optional round-trip check found different.
+async function testLocal(config, { dryRun = false } = {}) {
+    const migrationFile = config.output.sqlFile;
+    const sqliteDbFile = dryRun ? ':memory:' : config.output.sqliteDb;
+
+    if (!fs.existsSync(migrationFile)) {
+        throw new Error(`Migration file not found: ${migrationFile}`);
+    }
 
-        db.exec('PRAGMA foreign_keys = OFF;');
-        const sql = fs.readFileSync(MIGRATION_FILE, 'utf8');
-        db.exec(sql);
+    // Only the round-trip check talks to MySQL
+    const verifyRoundTrip = parseBooleanEnv(process.env.MIGRATE_VERIFY_ROUND_TRIP);
+    const migrator = verifyRoundTrip
+        ? createMigrator(config)
+        : new MySQLToSQLiteMigrator(null, { config, ...migratorOptionsFromEnv() });
+
+    console.log(`\n🧪 Step 2: Running migration on ${sqliteDbFile} for testing...`);
+    if (!dryRun) {
+        removeSQLiteDBFile(sqliteDbFile);
+    }
+    const db = new Database(sqliteDbFile);
+
+    try {
+        const sql = fs.readFileSync(migrationFile, 'utf8');
+        migrator.applyToSQLite(db, sql);
         db.exec('PRAGMA foreign_keys = ON;');
 
         // Optional: validate constraints
         try {
-            db.exec('PRAGMA foreign_key_check;');
+            const violations = db.pragma('foreign_key_check');
+            if (violations.length > 0) {
+                console.warn(`⚠️ ${violations.length} foreign key violations detected:`);
+                violations.slice(0, 10).forEach(v => console.warn(`   • ${v.table} row ${v.rowid} → ${v.parent}`));
+            }
         } catch (fkErr) {
             console.warn('⚠️ Foreign key issues detected:', fkErr.message);
         }
 
-        db.close();
-        console.log(`✅ Migration to ${SQLITE_DB_FILE} was successful. No syntax errors found.`);
+        console.log(`✅ Migration to ${sqliteDbFile} was successful. No syntax errors found.`);
 
         // Step 2.5: Analyze DB structure
         try {
-    const analyzeDb = new Database(SQLITE_DB_FILE);
-    const tables = analyzeDb.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'").all();
-
-    console.log(`📊 Created ${tables.length} tables in the database`);
+            const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'").all();
+
+            console.log(`📊 Created ${tables.length} tables in the database`);
+
+            for (const { name } of tables) {
+                try {
+                    const { count } = db.prepare(`SELECT COUNT(*) as count FROM "${name}"`).get();
+                    console.log(`   • ${name}: ${count} rows`);
+                } catch (tableErr) {
+                    console.warn(`   ⚠️ Could not count rows in table "${name}": ${tableErr.message}`);
+                }
+            }
+        } catch (e) {
+            console.log('⚠️ Could not analyze database structure:', e.message);
+        }
 
-    for (const { name } of tables) {
-        try {
-            const { count } = analyzeDb.prepare(`SELECT COUNT(*) as count FROM "${name}"`).get();
-            console.log(`   • ${name}: ${count} rows`);
-        } catch (tableErr) {
-            console.warn(`   ⚠️ Could not count rows in table "${name}": ${tableErr.message}`);
+        // Step 2.6: Optional byte-for-byte comparison of sampled values
+        if (verifyRoundTrip) {
+            const sampleSize = parseInt(process.env.MIGRATE_ROUND_TRIP_SAMPLE || '100', 10);
+            console.log(`\n🔍 Round-trip check: comparing up to ${sampleSize} random rows per table with MySQL...`);
+
+            await migrator.connectToMySQL();
+            try {
+                const result = await migrator.verifyRoundTrip(db, sampleSize);
+
+                result.skipped.forEach(({ table, reason }) => console.log(`   ⏭️ ${table}: skipped (${reason})`));
+                console.log(`   Compared ${result.values} values in ${result.rows} rows across ${result.tables} tables`);
+
+                if (result.mismatches.length > 0) {
+                    console.error(`❌ ${result.mismatches.length} values differ between MySQL and SQLite:`);
+                    result.mismatches.slice(0, 20).forEach(m => {
+                        console.error(`   • ${m.table} (${m.key})${m.column ? ` "${m.column}"` : ''}: ${m.reason}`);
+                    });
+                    return result.mismatches.length;
+                }
+                console.log('✅ All sampled values round-trip exactly.');
+            } finally {
+                await migrator.disconnect();
+            }
         }
+        return 0;
+    } finally {
+        db.close();
     }
-
-    analyzeDb.close();
-} catch (e) {
-    console.log('⚠️ Could not analyze database structure:', e.message);
 }
 
+async function main(config) {
+    console.log('🚀 Starting MySQL to SQLite migration...');
+
+    try {
+        await exportSQL(config);
+        if (await testLocal(config) > 0) {
+            throw new Error('Round-trip verification failed');
+        }
 
         // Step 3: Summary
         console.log('\n📋 MIGRATION COMPLETE - SUMMARY:');
         console.log('══════════════════════════════════');
-        console.log(`1. 📁 File generated: ${MIGRATION_FILE}`);
-        console.log(`2. 🧪 Test database created: ${SQLITE_DB_FILE}`);
+        console.log(`1. 📁 File generated: ${config.output.sqlFile}`);
+        console.log(`2. 🧪 Test database created: ${config.output.sqliteDb}`);
         console.log('3. 👍 All SQL statements passed without syntax errors on SQLite.');
 
     } catch (error) {
@@ -103,20 +178,22 @@ async function main() {
         console.log('2. Ensure `mysql-to-sqlite` and `better-sqlite3` libraries are installed.');
         console.log('3. Review the error message for specific syntax issues.');
         throw error;
-    } finally {
-        if (migrator && typeof migrator.disconnect === 'function') {
-            await migrator.disconnect();
-            console.log('🔌 MySQL connection closed.');
-        }
     }
 }
 
 // Run the script
 if (require.main === module) {
-    ensureTempDirectory();
-    removeSQLiteDBFile();
-    main().catch(error => {
+    let config;
+    try {
+        config = loadMigrationConfig();
+    } catch (error) {
+        console.error('💥 ' + error.message);
+        process.exit(1);
+    }
+    main(config).catch(error => {
         console.error('💥 Script execution failed:', error.message);
         process.exit(1);
     });
 }
+
+module.exports = { exportSQL, testLocal };
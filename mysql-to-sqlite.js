@@ -1,11 +1,451 @@
 const mysql = require('mysql2/promise');
 const fs = require('fs');
 const path = require('path');
+const { orderTablesByDependencies, describeCycle } = require('./table-dependencies');
+const { translateMySQL, referencedIdentifiers } = require('./mysql-sql-translator');
+const { loadMigrationConfig, isTableIncluded, sqliteTableName, sqliteColumnName, rowFilterFor, maskingFor } = require('./migration-config');
+const { ValueMasker, maskableKind, maskingProblem } = require('./data-masking');
+
+const DEFAULT_OPTIONS = {
+    // Read rows in keyset-paginated chunks instead of one SELECT per table
+    streaming: false,
+    chunkSize: 1000,
+    // Group rows into INSERT ... VALUES (...), (...) statements capped by rows and bytes
+    multiRowInsert: false,
+    insertMaxRows: 500,
+    insertMaxBytes: 100000,
+    // Run the import with PRAGMA foreign_keys = ON instead of OFF
+    enforceForeignKeys: false,
+    // How a foreign key that closes a dependency cycle is handled: 'defer' declares it
+    // DEFERRABLE INITIALLY DEFERRED, 'rebuild' adds it after the data load
+    fkCycleStrategy: 'defer',
+    // "table.column" names of ENUM/SET columns that get no CHECK constraint
+    skipEnumChecks: [],
+    // "table.column" names of binary(16) columns exported as UUID text, "*" for all of them
+    binaryUuidColumns: [],
+    // DECIMAL columns as 'real' (REAL), 'text' (exact TEXT) or 'integer' (INTEGER scaled by 10^scale)
+    decimalStorage: 'real',
+    // Session time zone of the MySQL connection: TIMESTAMP values are read in it
+    connectionTimezone: '+00:00',
+    // Zone TIMESTAMP values are written in with the 'sqlite' format
+    outputTimezone: '+00:00',
+    // Zone DATETIME wall-clock values are taken to be in when written as 'iso' or 'epoch'
+    datetimeTimezone: '+00:00',
+    // Output format per column type: 'sqlite' (YYYY-MM-DD HH:MM:SS[.ffffff]),
+    // 'iso' (YYYY-MM-DDTHH:MM:SS[.ffffff]Z) or 'epoch' (Unix seconds)
+    dateFormats: { datetime: 'sqlite', timestamp: 'sqlite', date: 'sqlite' },
+    // Zero or invalid dates ('0000-00-00', '2024-02-30', ...): 'keep' the MySQL text,
+    // write 'null', or write the 'sentinel' date instead
+    zeroDatePolicy: 'keep',
+    zeroDateSentinel: '1970-01-01 00:00:00',
+    // HMAC key for masked values (config "masking"); without one, masked values can be
+    // matched by hashing guessed originals
+    maskingSecret: '',
+    // Size limit of a data seed file written by generateMigrationFiles
+    seedFileMaxBytes: 5000000
+};
+
+const DATE_FORMATS = ['sqlite', 'iso', 'epoch'];
+const ZERO_DATE_POLICIES = ['keep', 'null', 'sentinel'];
+
+const DECIMAL_STORAGE = ['real', 'text', 'integer'];
+
+// Largest integer SQLite stores exactly (signed 64-bit)
+const SQLITE_MAX_INTEGER = 9223372036854775807n;
+
+// Maximum length of a single SQL statement accepted by Cloudflare D1
+const D1_MAX_STATEMENT_BYTES = 100000;
+
+// Writes SQL statements straight to disk, one per line, honouring stream backpressure
+class SQLFileWriter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+        this.count = 0;
+        this.error = null;
+        this.stream.on('error', error => {
+            this.error = error;
+        });
+    }
+
+    async write(statement) {
+        if (this.error) throw this.error;
+        this.count++;
+        if (!this.stream.write(statement + '\n')) {
+            await new Promise((resolve, reject) => {
+                const onError = error => reject(error);
+                this.stream.once('error', onError);
+                this.stream.once('drain', () => {
+                    this.stream.removeListener('error', onError);
+                    resolve();
+                });
+            });
+        }
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            if (this.error) return reject(this.error);
+            this.stream.end(error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    destroy() {
+        this.stream.destroy();
+    }
+
+    // A single file holds every phase of the migration
+    async beginPhase() {}
+
+    summary() {
+        return `SQL file generated: ${this.filePath}`;
+    }
+}
+
+const PHASE_FILE_NAMES = { schema: 'initial_schema', data: 'seed_data', 'post-data': 'indexes_and_triggers' };
+
+// Writes a migration as numbered wrangler migration files, one per phase, opened when
+// the phase writes its first statement. Data seed files are split before they would
+// exceed maxSeedBytes. Comments wait for the next statement so section headers land in
+// the file they describe; trailing ones go to the last file.
+class MigrationFileWriter {
+    constructor(dir, firstNumber, maxSeedBytes) {
+        this.dir = dir;
+        this.nextNumber = firstNumber;
+        this.maxSeedBytes = maxSeedBytes;
+        this.files = [];
+        this.count = 0;
+        this.phase = null;
+        this.file = null;
+        this.filePhase = null;
+        this.fileBytes = 0;
+        this.seedParts = 0;
+        this.pendingComments = [];
+    }
+
+    async beginPhase(phase) {
+        this.phase = phase;
+    }
+
+    async openFile() {
+        if (this.file) await this.file.close();
+        const name = this.phase === 'data' ? `${PHASE_FILE_NAMES.data}_${++this.seedParts}` : PHASE_FILE_NAMES[this.phase];
+        const fileName = `${String(this.nextNumber++).padStart(4, '0')}_${name}.sql`;
+        this.file = new SQLFileWriter(path.join(this.dir, fileName));
+        this.files.push(fileName);
+        this.filePhase = this.phase;
+        this.fileBytes = 0;
+        // Rows of a self-referencing table may point at rows later in the same file, and
+        // the foreign key rebuild drops tables that other tables' rows still reference.
+        // D1 ignores PRAGMA foreign_keys inside the file's transaction, so the checks
+        // are deferred to its end instead.
+        if (this.phase === 'data' || this.phase === 'post-data') {
+            await this.file.write('PRAGMA defer_foreign_keys = ON;');
+        }
+    }
+
+    async write(statement) {
+        this.count++;
+        if (statement.startsWith('--')) {
+            this.pendingComments.push(statement);
+            return;
+        }
+
+        const bytes = Buffer.byteLength(statement, 'utf8') + 1;
+        const seedFull = this.phase === 'data' && this.fileBytes > 0 && this.fileBytes + bytes > this.maxSeedBytes;
+        if (this.filePhase !== this.phase || seedFull) {
+            await this.openFile();
+        }
+        for (const comment of this.pendingComments.splice(0)) {
+            await this.file.write(comment);
+        }
+        await this.file.write(statement);
+        this.fileBytes += bytes;
+    }
+
+    async close() {
+        if (!this.file) return;
+        for (const comment of this.pendingComments.splice(0)) {
+            await this.file.write(comment);
+        }
+        await this.file.close();
+    }
+
+    destroy() {
+        if (this.file) this.file.destroy();
+    }
+
+    summary() {
+        return `Migration files written to ${this.dir}: ${this.files.join(', ')}`;
+    }
+}
+
+// Collects row tuples into multi-row INSERT statements. A statement is flushed before
+// it would exceed maxRows or maxBytes, so a row too wide to share a statement is
+// written on its own as a single-row INSERT.
+class InsertBatcher {
+    constructor(writer, maxRows, maxBytes) {
+        this.writer = writer;
+        this.maxRows = maxRows;
+        this.maxBytes = maxBytes;
+        this.prefix = null;
+        this.tuples = [];
+        this.bytes = 0;
+    }
+
+    // Returns the size of the statement the tuple would need on its own
+    async add(prefix, tuple) {
+        const tupleBytes = Buffer.byteLength(tuple, 'utf8');
+        const singleRowBytes = Buffer.byteLength(prefix, 'utf8') + tupleBytes + 1;
+
+        if (this.tuples.length > 0) {
+            const wouldExceed = this.tuples.length >= this.maxRows ||
+                this.bytes + 2 + tupleBytes > this.maxBytes;
+            if (prefix !== this.prefix || wouldExceed) {
+                await this.flush();
+            }
+        }
+
+        if (this.tuples.length === 0) {
+            this.prefix = prefix;
+            this.bytes = singleRowBytes;
+        } else {
+            this.bytes += 2 + tupleBytes; // ", " separator
+        }
+        this.tuples.push(tuple);
+
+        return singleRowBytes;
+    }
+
+    async flush() {
+        if (this.tuples.length === 0) return;
+        await this.writer.write(`${this.prefix}${this.tuples.join(', ')};`);
+        this.prefix = null;
+        this.tuples = [];
+        this.bytes = 0;
+    }
+}
+
+// 'date', 'datetime' or 'timestamp' for those column types, null otherwise
+function temporalKind(columnType) {
+    const match = String(columnType || '').trim().match(/^(datetime|timestamp|date)\b/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// information_schema shows quotes inside generation expressions and check clauses
+// backslash-escaped: concat(`a`,_utf8mb4\' \',`b`)
+function unescapeInformationSchemaExpression(expression) {
+    return String(expression).replace(/\\(['\\])/g, '$1');
+}
+
+// Whether a temporal value is a real calendar date: zero dates ('0000-00-00'),
+// zero months or days, impossible dates and unparsable values are not
+function isValidTemporal(value) {
+    const parts = parseMySQLTemporal(value);
+    if (!parts || parts.month < 1 || parts.month > 12 || parts.day < 1) return false;
+    const daysInMonth = new Date(Date.UTC(2000, parts.month, 0)).getUTCDate();
+    const leapDay = parts.month === 2 && parts.day === 29;
+    const isLeapYear = parts.year % 4 === 0 && (parts.year % 100 !== 0 || parts.year % 400 === 0);
+    return parts.day <= daysInMonth && (!leapDay || isLeapYear) && parts.hour < 24 && parts.minute < 60 && parts.second < 60;
+}
+
+// Date and time fields of a MySQL temporal string ('2024-05-01 12:30:00.250000') or
+// of a Date read as UTC; null when the value isn't in that shape
+function parseMySQLTemporal(value) {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        const ms = value.getUTCMilliseconds();
+        return {
+            year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate(),
+            hour: value.getUTCHours(), minute: value.getUTCMinutes(), second: value.getUTCSeconds(),
+            fraction: ms > 0 ? String(ms).padStart(3, '0') : ''
+        };
+    }
+
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?$/);
+    if (!match) return null;
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(n => Number(n || 0));
+    return { year, month, day, hour, minute, second, fraction: match[7] || '' };
+}
+
+// Unix seconds of wall-clock fields taken as UTC (Date.UTC maps years below 100 to 19xx)
+function utcSeconds(parts) {
+    const date = new Date(Date.UTC(2000, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    date.setUTCFullYear(parts.year);
+    return date.getTime() / 1000;
+}
+
+// 'YYYY-MM-DD HH:MM:SS' from wall-clock fields
+function formatDateParts(parts) {
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+// Minutes east of UTC for 'UTC', 'Z' or a fixed offset such as '+05:30'
+function parseTimezoneOffset(timezone) {
+    const value = String(timezone).trim();
+    if (/^(?:utc|z)$/i.test(value)) return 0;
+
+    const match = value.match(/^([+-])(\d{2}):(\d{2})$/);
+    if (!match || Number(match[3]) >= 60) {
+        throw new Error(`Invalid time zone: ${timezone}. Expected 'UTC' or an offset like '+02:00'`);
+    }
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+function formatTimezoneOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// { precision, scale } of a decimal(p,s) / numeric(p,s) column type, or null for other types
+function parseDecimalType(columnType) {
+    const match = String(columnType || '').trim().match(/^(?:decimal|numeric|dec|fixed)(?:\((\d+)(?:,\s*(\d+))?\))?/i);
+    if (!match) return null;
+    return { precision: match[1] ? Number(match[1]) : 10, scale: match[2] ? Number(match[2]) : 0 };
+}
+
+function isIntegerType(columnType) {
+    return /^(?:tiny|small|medium|big)?int(?:eger)?\b/i.test(String(columnType || '').trim());
+}
+
+function isFloatingType(columnType) {
+    return /^(?:float|double|real)\b/i.test(String(columnType || '').trim());
+}
+
+// Exact decimal string times 10^scale as an integer string: '12.3' with scale 2 -> '1230'
+function scaleDecimal(text, scale) {
+    const match = text.trim().match(/^([+-]?)(\d*)(?:\.(\d*))?$/);
+    if (!match) {
+        throw new Error(`Invalid decimal value: ${text}`);
+    }
+    const [, sign, whole, fraction = ''] = match;
+    if (fraction.length > scale) {
+        throw new Error(`Decimal value ${text} has more than ${scale} fractional digits`);
+    }
+    return BigInt(`${sign}${whole || '0'}${fraction.padEnd(scale, '0')}`).toString();
+}
+
+// Canonical 8-4-4-4-12 text form of a 16-byte UUID, in stored byte order
+function formatUuid(bytes) {
+    const hex = bytes.toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Short hex preview of a byte sequence for mismatch reports
+function describeBytes(bytes) {
+    const preview = bytes.subarray(0, 32).toString('hex');
+    return `${bytes.length} bytes x'${preview}${bytes.length > 32 ? '...' : ''}'`;
+}
+
+// Allowed values of an enum('a','b') or set('a','b') column type, or null for other types
+function parseEnumValues(columnType) {
+    const match = String(columnType || '').trim().match(/^(?:enum|set)\((.*)\)$/is);
+    if (!match) return null;
+
+    const values = [];
+    const body = match[1];
+    let i = 0;
+    while (i < body.length) {
+        if (body[i] !== "'") {
+            i++;
+            continue;
+        }
+        let value = '';
+        i++;
+        while (i < body.length) {
+            if (body[i] === "'" && body[i + 1] === "'") {
+                value += "'";
+                i += 2;
+            } else if (body[i] === '\\' && i + 1 < body.length) {
+                value += body[i + 1];
+                i += 2;
+            } else if (body[i] === "'") {
+                i++;
+                break;
+            } else {
+                value += body[i++];
+            }
+        }
+        values.push(value);
+    }
+
+    return values;
+}
+
+// Fractional precision of a CURRENT_TIMESTAMP default such as CURRENT_TIMESTAMP(3)
+// (MariaDB reports current_timestamp()), or null when the value is something else
+function parseCurrentTimestamp(value) {
+    const match = String(value).trim().match(/^(?:current_timestamp|now|localtimestamp|localtime)(?:\((\d*)\))?$/i);
+    if (!match) return null;
+    return match[1] ? parseInt(match[1], 10) : 0;
+}
 
 class MySQLToSQLiteMigrator {
-    constructor(mysqlConfig) {
+    // options.config is a loaded migration config; without it d1-migrate.config.(json|js)
+    // is read from the working directory. Its options sit between the defaults and
+    // the options passed here.
+    constructor(mysqlConfig, options = {}) {
+        const { config, ...overrides } = options;
         this.mysqlConfig = mysqlConfig;
-        this.sqliteFile = './temp/migration.sql';
+        this.config = config || loadMigrationConfig();
+        for (const source of [this.config.options, overrides]) {
+            const unknown = Object.keys(source).filter(key => !(key in DEFAULT_OPTIONS));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown migrator option${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+            }
+        }
+        this.options = { ...DEFAULT_OPTIONS, ...this.config.options, ...overrides };
+        this.options.dateFormats = { ...DEFAULT_OPTIONS.dateFormats, ...this.config.options.dateFormats, ...overrides.dateFormats };
+        for (const option of ['chunkSize', 'insertMaxRows', 'insertMaxBytes', 'seedFileMaxBytes']) {
+            if (!Number.isInteger(this.options[option]) || this.options[option] <= 0) {
+                throw new Error(`Invalid ${option}: ${this.options[option]}. Expected a positive integer`);
+            }
+        }
+        if (!['defer', 'rebuild'].includes(this.options.fkCycleStrategy)) {
+            throw new Error(`Invalid fkCycleStrategy: ${this.options.fkCycleStrategy}. Expected 'defer' or 'rebuild'`);
+        }
+        if (!DECIMAL_STORAGE.includes(this.options.decimalStorage)) {
+            throw new Error(`Invalid decimalStorage: ${this.options.decimalStorage}. Expected one of ${DECIMAL_STORAGE.join(', ')}`);
+        }
+        for (const [kind, format] of Object.entries(this.options.dateFormats)) {
+            if (!DATE_FORMATS.includes(format)) {
+                throw new Error(`Invalid ${kind} format: ${format}. Expected one of ${DATE_FORMATS.join(', ')}`);
+            }
+        }
+        if (!ZERO_DATE_POLICIES.includes(this.options.zeroDatePolicy)) {
+            throw new Error(`Invalid zeroDatePolicy: ${this.options.zeroDatePolicy}. Expected one of ${ZERO_DATE_POLICIES.join(', ')}`);
+        }
+        if (!isValidTemporal(this.options.zeroDateSentinel)) {
+            throw new Error(`Invalid zeroDateSentinel: ${this.options.zeroDateSentinel}. Expected a date like '1970-01-01 00:00:00'`);
+        }
+        // Fixed UTC offsets in minutes; parseTimezoneOffset throws on anything else
+        this.timezoneOffsets = {
+            connection: parseTimezoneOffset(this.options.connectionTimezone),
+            output: parseTimezoneOffset(this.options.outputTimezone),
+            datetime: parseTimezoneOffset(this.options.datetimeTimezone)
+        };
+        if (this.options.insertMaxBytes > D1_MAX_STATEMENT_BYTES) {
+            console.warn(`insertMaxBytes (${this.options.insertMaxBytes}) is above D1's ${D1_MAX_STATEMENT_BYTES}-byte statement limit`);
+        }
+        this.sqliteFile = this.config.output.sqlFile;
+        this.warnings = [];
+        // "table.column" names already warned about integers beyond SQLite's range
+        this.oversizedIntegerColumns = new Set();
+        // Zero or invalid date values handled by zeroDatePolicy, per table
+        this.zeroDateCounts = new Map();
+        this.masker = new ValueMasker(this.options.maskingSecret);
+        // Non-NULL values masked, per table and column
+        this.maskedCounts = new Map();
+    }
+
+    // Record a migration warning so it is logged now and repeated in the final summary
+    addWarning(message) {
+        if (this.warnings.includes(message)) return;
+        this.warnings.push(message);
+        console.warn(`  Warning: ${message}`);
     }
 
     async connectToMySQL() {
@@ -15,8 +455,15 @@ class MySQLToSQLiteMigrator {
                 user: this.mysqlConfig.user,
                 password: this.mysqlConfig.password,
                 database: this.mysqlConfig.database,
-                port: this.mysqlConfig.port
+                port: this.mysqlConfig.port,
+                // BIGINT values beyond 2^53 arrive as strings instead of rounded numbers
+                supportBigNumbers: true,
+                // Temporal values arrive as MySQL's own text and are converted here, so
+                // nothing depends on the time zone of the machine running the export
+                dateStrings: true,
+                timezone: 'Z'
             });
+            await this.mysqlConnection.query('SET time_zone = ?', [formatTimezoneOffset(this.timezoneOffsets.connection)]);
             console.log('Connected to MySQL successfully');
         } catch (error) {
             console.error('MySQL connection failed:', error);
@@ -26,10 +473,31 @@ class MySQLToSQLiteMigrator {
 
     async getTableNames() {
         const [rows] = await this.mysqlConnection.execute(
-            "SELECT table_name FROM information_schema.tables WHERE table_schema = ?",
+            "SELECT table_name FROM information_schema.tables WHERE table_schema = ? AND table_type = 'BASE TABLE'",
+            [this.mysqlConfig.database]
+        );
+        return rows
+            .map(row => row.TABLE_NAME || row.table_name)
+            .filter(name => isTableIncluded(this.config, name));
+    }
+
+    // Quoted SQLite identifiers after the configured renames
+    quoteTable(tableName) {
+        return `"${sqliteTableName(this.config, tableName)}"`;
+    }
+
+    quoteColumn(tableName, columnName) {
+        return `"${sqliteColumnName(this.config, tableName, columnName)}"`;
+    }
+
+    async getViews() {
+        const [rows] = await this.mysqlConnection.execute(
+            `SELECT TABLE_NAME, VIEW_DEFINITION FROM information_schema.VIEWS WHERE TABLE_SCHEMA = ? ORDER BY TABLE_NAME`,
             [this.mysqlConfig.database]
         );
-        return rows.map(row => row.TABLE_NAME || row.table_name);
+        return rows
+            .map(row => ({ name: row.TABLE_NAME, definition: row.VIEW_DEFINITION }))
+            .filter(view => isTableIncluded(this.config, view.name));
     }
 
     async getTableSchema(tableName) {
@@ -39,6 +507,21 @@ class MySQLToSQLiteMigrator {
         return rows;
     }
 
+    // Primary key columns in key order; more than one entry means a composite key
+    async getPrimaryKey(tableName) {
+        const [rows] = await this.mysqlConnection.execute(
+            `
+            SELECT COLUMN_NAME
+            FROM information_schema.KEY_COLUMN_USAGE
+            WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+              AND CONSTRAINT_NAME = 'PRIMARY'
+            ORDER BY ORDINAL_POSITION
+            `,
+            [this.mysqlConfig.database, tableName]
+        );
+        return rows.map(row => row.COLUMN_NAME);
+    }
+
     async getForeignKeys(tableName) {
         const [rows] = await this.mysqlConnection.execute(
             `
@@ -55,17 +538,120 @@ class MySQLToSQLiteMigrator {
                 AND kcu.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA
             WHERE kcu.TABLE_SCHEMA = ? AND kcu.TABLE_NAME = ? 
               AND kcu.REFERENCED_TABLE_NAME IS NOT NULL
+            ORDER BY kcu.CONSTRAINT_NAME, kcu.ORDINAL_POSITION
             `,
             [this.mysqlConfig.database, tableName]
         );
 
-        return rows.map(row => ({
-            column: row.COLUMN_NAME,
-            refTable: row.REFERENCED_TABLE_NAME,
-            refColumn: row.REFERENCED_COLUMN_NAME,
-            onUpdate: row.UPDATE_RULE || 'NO ACTION',
-            onDelete: row.DELETE_RULE || 'NO ACTION'
-        }));
+        // One entry per constraint so composite keys keep their columns together
+        const foreignKeys = new Map();
+        for (const row of rows) {
+            if (!foreignKeys.has(row.CONSTRAINT_NAME)) {
+                foreignKeys.set(row.CONSTRAINT_NAME, {
+                    name: row.CONSTRAINT_NAME,
+                    columns: [],
+                    refTable: row.REFERENCED_TABLE_NAME,
+                    refColumns: [],
+                    onUpdate: row.UPDATE_RULE || 'NO ACTION',
+                    onDelete: row.DELETE_RULE || 'NO ACTION'
+                });
+            }
+            const fk = foreignKeys.get(row.CONSTRAINT_NAME);
+            fk.columns.push(row.COLUMN_NAME);
+            fk.refColumns.push(row.REFERENCED_COLUMN_NAME);
+        }
+
+        return Array.from(foreignKeys.values());
+    }
+
+    // Secondary and UNIQUE indexes, grouped per index with columns in key order
+    async getIndexes(tableName) {
+        const [rows] = await this.mysqlConnection.execute(
+            `
+            SELECT
+                INDEX_NAME,
+                NON_UNIQUE,
+                SEQ_IN_INDEX,
+                COLUMN_NAME,
+                SUB_PART,
+                COLLATION,
+                INDEX_TYPE
+            FROM information_schema.STATISTICS
+            WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+              AND INDEX_NAME <> 'PRIMARY'
+            ORDER BY INDEX_NAME, SEQ_IN_INDEX
+            `,
+            [this.mysqlConfig.database, tableName]
+        );
+
+        const indexes = new Map();
+        for (const row of rows) {
+            if (!indexes.has(row.INDEX_NAME)) {
+                indexes.set(row.INDEX_NAME, {
+                    name: row.INDEX_NAME,
+                    unique: Number(row.NON_UNIQUE) === 0,
+                    type: row.INDEX_TYPE || 'BTREE',
+                    columns: []
+                });
+            }
+            indexes.get(row.INDEX_NAME).columns.push({
+                name: row.COLUMN_NAME, // NULL for MySQL 8 functional key parts
+                subPart: row.SUB_PART,
+                descending: row.COLLATION === 'D'
+            });
+        }
+
+        return Array.from(indexes.values());
+    }
+
+    // Build CREATE [UNIQUE] INDEX statements for a table. SQLite index names are
+    // global to the database, so names already taken are prefixed with the table name
+    // and, if that is taken too, numbered.
+    buildIndexStatements(tableName, indexes, usedNames) {
+        const statements = [];
+
+        for (const index of indexes) {
+            const label = `index "${index.name}" on table "${tableName}"`;
+
+            if (index.type === 'FULLTEXT' || index.type === 'SPATIAL') {
+                this.addWarning(`${label} skipped: SQLite has no ${index.type} indexes`);
+                continue;
+            }
+
+            if (index.columns.some(col => !col.name)) {
+                this.addWarning(`${label} skipped: functional index parts cannot be migrated automatically`);
+                continue;
+            }
+
+            for (const col of index.columns) {
+                if (col.subPart !== null && col.subPart !== undefined) {
+                    const effect = index.unique
+                        ? 'uniqueness is now enforced on the full value instead of the prefix'
+                        : 'the full column is indexed instead';
+                    this.addWarning(`${label} uses a ${col.subPart}-character prefix on "${col.name}"; SQLite has no prefix indexes, ${effect}`);
+                }
+            }
+
+            let indexName = index.name;
+            if (usedNames.has(indexName.toLowerCase())) {
+                const prefixed = `${sqliteTableName(this.config, tableName)}_${index.name}`;
+                indexName = prefixed;
+                for (let suffix = 2; usedNames.has(indexName.toLowerCase()); suffix++) {
+                    indexName = `${prefixed}_${suffix}`;
+                }
+            }
+            usedNames.add(indexName.toLowerCase());
+
+            const columnList = index.columns
+                .map(col => `${this.quoteColumn(tableName, col.name)}${col.descending ? ' DESC' : ''}`)
+                .join(', ');
+
+            statements.push(
+                `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS "${indexName}" ON ${this.quoteTable(tableName)} (${columnList});`
+            );
+        }
+
+        return statements;
     }
 
     // Enhanced JSON handling method
@@ -102,7 +688,10 @@ class MySQLToSQLiteMigrator {
         return this.escapeForSQLite(String(value));
     }
 
-    // Enhanced escaping for SQLite compatibility
+    // Exact SQLite literal for a value. SQLite strings don't interpret backslash
+    // escapes, so text is quoted with '' doubling and control characters (newlines,
+    // tabs, NUL, ...) are spliced in with char(), e.g. ('a' || char(13, 10) || 'b').
+    // This keeps every statement on a single line of the SQL file.
     escapeForSQLite(value) {
         if (value === null || value === undefined) {
             return 'NULL';
@@ -117,75 +706,96 @@ class MySQLToSQLiteMigrator {
             return value ? '1' : '0';
         }
 
-        // Convert to string if not already
-        let stringValue = String(value);
+        const stringValue = String(value);
+        const parts = [];
+        const controlRuns = /[\x00-\x1F\x7F]+/g;
+        let last = 0;
+        let match;
 
-        // Apply comprehensive escaping for SQLite
-        stringValue = stringValue
-            // Escape single quotes (most important)
-            .replace(/'/g, "''")
-            
-            // Handle newlines and carriage returns
-            .replace(/\r\n/g, '\\n')  // Windows line endings
-            .replace(/\n/g, '\\n')    // Unix line endings
-            .replace(/\r/g, '\\r')    // Mac line endings
-            
-            // Handle tabs and other whitespace
-            .replace(/\t/g, '\\t')
-            
-            // Handle backslashes (but don't double-escape)
-            .replace(/\\/g, '\\\\')
-            
-            // Handle null bytes (rare but can cause issues)
-            .replace(/\x00/g, '\\0')
-            
-            // Handle vertical tabs and form feeds
-            .replace(/\v/g, '\\v')
-            .replace(/\f/g, '\\f')
-            
-            // Handle other control characters that might cause issues
-            .replace(/[\x01-\x08\x0B-\x0C\x0E-\x1F\x7F]/g, function(char) {
-                return '\\x' + char.charCodeAt(0).toString(16).padStart(2, '0');
-            });
+        while ((match = controlRuns.exec(stringValue)) !== null) {
+            if (match.index > last) {
+                parts.push(`'${stringValue.slice(last, match.index).replace(/'/g, "''")}'`);
+            }
+            const codes = Array.from(match[0], char => char.charCodeAt(0));
+            parts.push(`char(${codes.join(', ')})`);
+            last = controlRuns.lastIndex;
+        }
+
+        if (parts.length === 0) {
+            return `'${stringValue.replace(/'/g, "''")}'`;
+        }
+        if (last < stringValue.length) {
+            parts.push(`'${stringValue.slice(last).replace(/'/g, "''")}'`);
+        }
 
-        return `'${stringValue}'`;
+        // Parenthesised so the literal also works as a DEFAULT or inside larger expressions
+        return `(${parts.join(' || ')})`;
     }
 
-    // Format datetime -> SQLite-friendly
-    formatMySQLDateTime(value) {
+    // Format a DATE, DATETIME or TIMESTAMP value as a SQLite literal in the format
+    // configured for the column type. DATETIME is wall-clock time and is written as
+    // read unless converted to 'iso' or 'epoch'; TIMESTAMP is an instant, read in the
+    // connection time zone and written in the output time zone. Without column
+    // metadata the value is treated as a DATETIME.
+    formatMySQLDateTime(value, col, tableName) {
         if (value === null || value === undefined) return 'NULL';
 
-        const toSQLiteTS = (date) => {
-            return date.getFullYear() + "-" +
-                String(date.getMonth() + 1).padStart(2, "0") + "-" +
-                String(date.getDate()).padStart(2, "0") + " " +
-                String(date.getHours()).padStart(2, "0") + ":" +
-                String(date.getMinutes()).padStart(2, "0") + ":" +
-                String(date.getSeconds()).padStart(2, "0");
-        };
+        if (!isValidTemporal(value)) {
+            if (tableName) {
+                this.zeroDateCounts.set(tableName, (this.zeroDateCounts.get(tableName) || 0) + 1);
+            }
+            value = this.applyZeroDatePolicy(value);
+            if (value === null) return 'NULL';
+        }
 
-        if (value instanceof Date) {
-            return `'${toSQLiteTS(value)}'`;
+        const text = this.temporalText(value, col);
+        return /^-?\d+$/.test(text) ? text : this.escapeForSQLite(text);
+    }
+
+    // Replacement for a zero or invalid date under zeroDatePolicy (null for NULL)
+    applyZeroDatePolicy(value) {
+        switch (this.options.zeroDatePolicy) {
+            case 'null':
+                return null;
+            case 'sentinel':
+                return this.options.zeroDateSentinel;
+            default:
+                return value;
         }
+    }
 
-        if (typeof value === 'string') {
-            // Handle MySQL datetime formats
-            if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/.test(value)) {
-                return this.escapeForSQLite(value);
-            }
-            
-            // Handle MySQL date formats
-            if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
-                return this.escapeForSQLite(value);
-            }
-            
-            // Handle MySQL time formats
-            if (/^\d{2}:\d{2}:\d{2}$/.test(value)) {
-                return this.escapeForSQLite(value);
-            }
+    // Unquoted form of a temporal value as written to SQLite
+    temporalText(value, col) {
+        const kind = temporalKind(col && col.Type) || 'datetime';
+        const format = this.options.dateFormats[kind];
+        const parts = parseMySQLTemporal(value);
+
+        // Anything that isn't a real calendar date (zero dates, odd strings) is kept as is
+        if (!isValidTemporal(value)) {
+            return String(value);
         }
 
-        return this.escapeForSQLite(value);
+        const sourceOffset = kind === 'timestamp' ? this.timezoneOffsets.connection : this.timezoneOffsets.datetime;
+        const epochSeconds = utcSeconds(parts) - sourceOffset * 60;
+        const fraction = parts.fraction ? `.${parts.fraction}` : '';
+
+        if (format === 'epoch') {
+            return String(epochSeconds);
+        }
+        if (kind === 'date') {
+            // A calendar date has no time zone: ISO and SQLite text are both YYYY-MM-DD
+            return formatDateParts(parts).slice(0, 10);
+        }
+        if (format === 'iso') {
+            const utc = formatDateParts(parseMySQLTemporal(new Date(epochSeconds * 1000)));
+            return `${utc.replace(' ', 'T')}${fraction}Z`;
+        }
+        if (kind === 'datetime') {
+            return `${formatDateParts(parts)}${fraction}`;
+        }
+
+        const local = new Date((epochSeconds + this.timezoneOffsets.output * 60) * 1000);
+        return `${formatDateParts(parseMySQLTemporal(local))}${fraction}`;
     }
 
     mapMySQLTypeToSQLite(mysqlType) {
@@ -236,171 +846,1135 @@ class MySQLToSQLiteMigrator {
         return false;
     }
 
-    // Legacy escapeText method for backward compatibility
+    // Legacy escapeText method for backward compatibility: the text to place between
+    // single quotes. Control characters can't be expressed this way, use escapeForSQLite.
     escapeText(value) {
-        return this.escapeForSQLite(value).replace(/^'|'$/g, ''); // Remove surrounding quotes
+        return String(value).replace(/'/g, "''");
     }
 
-    async generateSQLFile() {
-        if (!fs.existsSync('./temp')) {
-            fs.mkdirSync('./temp', { recursive: true });
-        }
+    // SQLite expression for the current time in the column's output format, keeping
+    // fractional seconds when the MySQL column has them
+    currentTimestampSQL(precision = 0, col = null) {
+        const kind = temporalKind(col && col.Type) || 'timestamp';
+        const format = this.options.dateFormats[kind];
 
-        if (fs.existsSync(this.sqliteFile)) {
-            fs.unlinkSync(this.sqliteFile);
+        if (format === 'epoch') {
+            return "CAST(strftime('%s', 'now') AS INTEGER)";
+        }
+        if (format === 'iso') {
+            return precision > 0 ? "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')" : "strftime('%Y-%m-%dT%H:%M:%SZ', 'now')";
         }
 
-        const tableNames = await this.getTableNames();
-        const sqlStatements = [];
+        const offset = kind === 'timestamp' ? this.timezoneOffsets.output : this.timezoneOffsets.datetime;
+        const modifier = offset !== 0 ? `, '${offset > 0 ? '+' : ''}${offset} minutes'` : '';
+        return precision > 0 ? `strftime('%Y-%m-%d %H:%M:%f', 'now'${modifier})` : `datetime('now'${modifier})`;
+    }
 
-        // Add SQLite pragmas for better compatibility
-        sqlStatements.push(`PRAGMA foreign_keys = OFF;`);
-        sqlStatements.push(`-- Generated from MySQL to SQLite migration`);
-        sqlStatements.push(`-- Generated on: ${new Date().toISOString()}`);
+    // Columns declared ON UPDATE CURRENT_TIMESTAMP, read from DESCRIBE's Extra column
+    getOnUpdateTimestampColumns(columns) {
+        return columns
+            .map(col => {
+                const match = (col.Extra || '').match(/on update (?:current_timestamp|now|localtimestamp|localtime)(?:\((\d*)\))?/i);
+                return match ? { name: col.Field, precision: match[1] ? parseInt(match[1], 10) : 0, column: col } : null;
+            })
+            .filter(Boolean);
+    }
 
-        console.log(`Found ${tableNames.length} tables to migrate`);
+    // SQLite has no ON UPDATE column clause, so an AFTER UPDATE trigger refreshes the
+    // columns instead. As in MySQL, it only fires when the UPDATE changed another
+    // column, and a column the UPDATE assigned a new value keeps that value.
+    buildOnUpdateTrigger(tableName, tableInfo) {
+        const onUpdateColumns = this.getOnUpdateTimestampColumns(tableInfo.columns);
+        const onUpdateNames = new Set(onUpdateColumns.map(col => col.name));
+        const otherColumns = this.insertableColumns(tableInfo).filter(name => !onUpdateNames.has(name));
+        if (onUpdateColumns.length === 0 || otherColumns.length === 0) return null;
 
-        for (const tableName of tableNames) {
-            console.log(`Generating schema for table: ${tableName}`);
+        const table = this.quoteTable(tableName);
+        const assignments = onUpdateColumns.map(col => {
+            const column = this.quoteColumn(tableName, col.name);
+            return `${column} = CASE WHEN NEW.${column} IS OLD.${column} THEN ${this.currentTimestampSQL(col.precision, col.column)} ELSE NEW.${column} END`;
+        });
+        const changed = otherColumns.map(name => {
+            const column = this.quoteColumn(tableName, name);
+            return `NEW.${column} IS NOT OLD.${column}`;
+        }).join(' OR ');
+        const unchanged = onUpdateColumns.map(col => {
+            const column = this.quoteColumn(tableName, col.name);
+            return `NEW.${column} IS OLD.${column}`;
+        }).join(' OR ');
 
-            const columns = await this.getTableSchema(tableName);
-            const foreignKeys = await this.getForeignKeys(tableName);
-
-            const columnDefinitions = columns.map(col => {
-                const type = this.mapMySQLTypeToSQLite(col.Type);
-                const nullable = col.Null === 'YES' ? '' : 'NOT NULL';
-                const primaryKey = col.Key === 'PRI' ? 'PRIMARY KEY' : '';
-                const autoIncrement = col.Extra && col.Extra.includes('auto_increment') ? 'AUTOINCREMENT' : '';
-
-                let defaultValue = '';
-                if (col.Default !== null && col.Default !== undefined) {
-                    if (String(col.Default).includes('CURRENT_TIMESTAMP')) {
-                        if (col.Field.toLowerCase().includes('update')) {
-                            defaultValue = '';
-                        } else {
-                            defaultValue = "DEFAULT (datetime('now'))";
-                        }
-                    } else if (type === 'TEXT') {
-                        // Use the enhanced escaping for default values
-                        defaultValue = `DEFAULT ${this.escapeForSQLite(col.Default)}`;
-                    } else {
-                        defaultValue = `DEFAULT ${col.Default}`;
-                    }
-                }
+        return [
+            `CREATE TRIGGER IF NOT EXISTS "${sqliteTableName(this.config, tableName)}_on_update_timestamp"`,
+            `AFTER UPDATE ON ${table}`,
+            `FOR EACH ROW WHEN (${changed}) AND (${unchanged})`,
+            `BEGIN`,
+            `  UPDATE ${table} SET ${assignments.join(', ')} WHERE rowid = NEW.rowid;`,
+            `END;`
+        ].join('\n');
+    }
 
-                return `"${col.Field}" ${type} ${nullable} ${primaryKey} ${autoIncrement} ${defaultValue}`.trim().replace(/\s+/g, ' ');
-            });
+    // Everything the schema and data phases need to know about a table
+    async readTableInfo(tableName) {
+        const columns = await this.getTableSchema(tableName);
 
-            // Append foreign keys
-            for (const fk of foreignKeys) {
-                columnDefinitions.push(
-                    `FOREIGN KEY("${fk.column}") REFERENCES "${fk.refTable}"("${fk.refColumn}") ON DELETE ${fk.onDelete} ON UPDATE ${fk.onUpdate}`
-                );
+        for (const col of columns) {
+            const decimal = parseDecimalType(col.Type);
+            if (decimal && this.options.decimalStorage === 'integer' && this.decimalStorageFor(col) === 'text') {
+                this.addWarning(`"${tableName}"."${col.Field}" ${col.Type} has too many digits for a scaled 64-bit integer; stored as exact TEXT instead`);
             }
-
-            const createTableSQL = `CREATE TABLE IF NOT EXISTS "${tableName}" (\n  ${columnDefinitions.join(',\n  ')}\n);`;
-            sqlStatements.push(createTableSQL);
         }
 
-        // Generate data inserts
-        let totalRows = 0;
-        for (const tableName of tableNames) {
-            console.log(`Generating data for table: ${tableName}`);
+        return {
+            columns,
+            primaryKey: await this.getPrimaryKey(tableName),
+            foreignKeys: await this.getForeignKeys(tableName),
+            indexes: await this.getIndexes(tableName),
+            uncheckedColumns: await this.findEnumViolations(tableName, columns),
+            nullableDateColumns: await this.findZeroDateColumns(tableName, columns),
+            ...await this.readTableExpressions(tableName)
+        };
+    }
 
-            try {
-                const [rows] = await this.mysqlConnection.execute(
-                    `SELECT * FROM ${this.mysqlConnection.escapeId(tableName)}`
-                );
+    // MySQL generated columns, keyed by column name: { expression, stored }
+    async getGeneratedColumns(tableName) {
+        const [rows] = await this.mysqlConnection.execute(
+            `
+            SELECT COLUMN_NAME, GENERATION_EXPRESSION, EXTRA
+            FROM information_schema.COLUMNS
+            WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND GENERATION_EXPRESSION <> ''
+            ORDER BY ORDINAL_POSITION
+            `,
+            [this.mysqlConfig.database, tableName]
+        );
 
-                if (rows.length === 0) {
-                    console.log(`  No data found in table: ${tableName}`);
-                    continue;
-                }
+        return new Map(rows.map(row => [row.COLUMN_NAME, {
+            expression: unescapeInformationSchemaExpression(row.GENERATION_EXPRESSION),
+            stored: /stored/i.test(row.EXTRA || '')
+        }]));
+    }
 
-                const columnsMeta = await this.getTableSchema(tableName);
-                let insertCount = 0;
-
-                for (const row of rows) {
-                    const columns = Object.keys(row);
-                    const values = columns.map(col => {
-                        const value = row[col];
-                        
-                        // Handle NULL values
-                        if (value === null || value === undefined) {
-                            return 'NULL';
-                        }
-
-                        // Check column metadata for type-specific handling
-                        const columnMeta = columnsMeta.find(c => c.Field === col);
-                        if (columnMeta) {
-                            const colType = columnMeta.Type.toLowerCase();
-                            
-                            // Handle JSON columns specifically
-                            if (this.isJSONColumn(col, colType)) {
-                                return this.handleJSONValue(value, col);
-                            }
-                            
-                            // Handle datetime/timestamp columns
-                            if (colType.includes('datetime') || colType.includes('timestamp')) {
-                                return this.formatMySQLDateTime(value);
-                            }
-                            
-                            // Handle date columns
-                            if (colType.includes('date') && !colType.includes('datetime')) {
-                                return this.escapeForSQLite(value);
-                            }
-                            
-                            // Handle time columns
-                            if (colType.includes('time') && !colType.includes('datetime') && !colType.includes('timestamp')) {
-                                return this.escapeForSQLite(value);
-                            }
-                        }
-
-                        // Handle different value types with proper escaping
-                        return this.escapeForSQLite(value);
-                    });
-
-                    const insertSQL = `INSERT INTO "${tableName}" (${columns.map(col => `"${col}"`).join(', ')}) VALUES (${values.join(', ')});`;
-                    sqlStatements.push(insertSQL);
-                    insertCount++;
-                }
+    // MySQL 8.0.16+ CHECK constraints: [{ name, clause }]. Older servers have no
+    // CHECK_CONSTRAINTS table and no enforced checks.
+    async getCheckConstraints(tableName) {
+        try {
+            const [rows] = await this.mysqlConnection.execute(
+                `
+                SELECT cc.CONSTRAINT_NAME, cc.CHECK_CLAUSE
+                FROM information_schema.CHECK_CONSTRAINTS cc
+                JOIN information_schema.TABLE_CONSTRAINTS tc
+                    ON tc.CONSTRAINT_SCHEMA = cc.CONSTRAINT_SCHEMA AND tc.CONSTRAINT_NAME = cc.CONSTRAINT_NAME
+                WHERE tc.TABLE_SCHEMA = ? AND tc.TABLE_NAME = ? AND tc.CONSTRAINT_TYPE = 'CHECK'
+                ORDER BY cc.CONSTRAINT_NAME
+                `,
+                [this.mysqlConfig.database, tableName]
+            );
+            return rows.map(row => ({ name: row.CONSTRAINT_NAME, clause: unescapeInformationSchemaExpression(row.CHECK_CLAUSE) }));
+        } catch (error) {
+            if (error.code === 'ER_UNKNOWN_TABLE' || error.code === 'ER_NO_SUCH_TABLE') {
+                return [];
+            }
+            throw error;
+        }
+    }
 
-                totalRows += insertCount;
-                console.log(`  Generated ${insertCount} insert statements for table: ${tableName}`);
+    // Translate generated column expressions and CHECK clauses. Anything that can't be
+    // translated is listed for manual review: such a generated column becomes a plain
+    // column filled with MySQL's computed values, such a CHECK is left out.
+    async readTableExpressions(tableName) {
+        const generatedColumns = new Map();
+        const checks = [];
+        const manualReview = [];
+
+        const translate = (sql) => {
+            try {
+                const { sql: translated, unsupported } = translateMySQL(sql, {
+                    schema: this.mysqlConfig.database,
+                    renameIdentifier: name => sqliteColumnName(this.config, tableName, name)
+                });
+                return unsupported.length > 0
+                    ? { reason: `no SQLite equivalent for ${unsupported.join(', ')}` }
+                    : { sql: translated };
             } catch (error) {
-                console.error(`Error generating data for table ${tableName}:`, error.message);
-                // Continue with other tables instead of failing completely
-                continue;
+                return { reason: error.message };
+            }
+        };
+
+        for (const [column, { expression, stored }] of await this.getGeneratedColumns(tableName)) {
+            const result = translate(expression);
+            if (result.sql) {
+                generatedColumns.set(column, { expression: result.sql, stored });
+            } else {
+                const subject = `generated column "${tableName}"."${column}"`;
+                this.addWarning(`${subject} exported as a plain column with MySQL's values: ${result.reason}`);
+                manualReview.push({ subject, reason: result.reason, definition: expression });
             }
         }
 
-        // Add summary comment
-        sqlStatements.push(`-- Migration completed: ${tableNames.length} tables, ${totalRows} rows`);
+        for (const { name, clause } of await this.getCheckConstraints(tableName)) {
+            const result = translate(clause);
+            if (result.sql) {
+                checks.push({ name, sql: result.sql });
+            } else {
+                const subject = `CHECK constraint "${name}" on "${tableName}"`;
+                this.addWarning(`${subject} left out: ${result.reason}`);
+                manualReview.push({ subject, reason: result.reason, definition: clause });
+            }
+        }
 
-        // Write to file with proper line endings
-        const sqlContent = sqlStatements.join('\n') + '\n';
-        fs.writeFileSync(this.sqliteFile, sqlContent, 'utf8');
-        
-        console.log(`SQL file generated: ${this.sqliteFile}`);
-        console.log(`Total statements: ${sqlStatements.length}`);
-        console.log(`Total data rows: ${totalRows}`);
-        
-        return sqlStatements.length;
+        return { generatedColumns, checks, manualReview };
     }
 
-    // Method to validate the generated SQL
-    async validateGeneratedSQL() {
-        if (!fs.existsSync(this.sqliteFile)) {
-            console.log('No SQL file found to validate');
-            return false;
+    // Renames, type overrides, filters and masking have to name existing tables and
+    // columns, and renamed tables can't take the name of another table. Foreign keys
+    // to tables left out by include/exclude are dropped.
+    checkConfigAgainstSchema(tableInfos) {
+        const sqliteNames = new Map();
+        for (const tableName of tableInfos.keys()) {
+            const name = sqliteTableName(this.config, tableName).toLowerCase();
+            if (sqliteNames.has(name)) {
+                throw new Error(`${this.config.source}: tables "${sqliteNames.get(name)}" and "${tableName}" would both be named "${name}" in SQLite`);
+            }
+            sqliteNames.set(name, tableName);
         }
 
-        const content = fs.readFileSync(this.sqliteFile, 'utf8');
-        
-        // Basic validation checks
-        const issues = [];
-        
-        // Check for unmatched quotes
+        for (const key of ['renameTables', 'renameColumns', 'columnTypes', 'rowFilters', 'masking']) {
+            for (const tableName of Object.keys(this.config[key])) {
+                const tableInfo = tableInfos.get(tableName);
+                if (!tableInfo) {
+                    this.addWarning(`${this.config.source}: ${key}.${tableName} doesn't match a migrated table`);
+                    continue;
+                }
+                if (key === 'renameTables' || key === 'rowFilters') continue;
+                for (const columnName of Object.keys(this.config[key][tableName])) {
+                    if (!tableInfo.columns.some(col => col.Field === columnName)) {
+                        this.addWarning(`${this.config.source}: ${key}.${tableName}.${columnName} doesn't match a column`);
+                    }
+                }
+            }
+        }
+
+        const maskingErrors = [];
+        let digestMasking = false;
+        for (const [tableName, columns] of Object.entries(this.config.masking)) {
+            const tableInfo = tableInfos.get(tableName);
+            if (!tableInfo) continue;
+            for (const [columnName, strategy] of Object.entries(columns)) {
+                const col = tableInfo.columns.find(c => c.Field === columnName);
+                if (!col) continue;
+                const subject = `masking.${tableName}.${columnName}`;
+                const problem = maskingProblem(strategy, col.Type);
+                if (tableInfo.generatedColumns && tableInfo.generatedColumns.has(columnName)) {
+                    maskingErrors.push(`${subject}: generated columns are computed by SQLite; mask the columns they are computed from`);
+                } else if (problem) {
+                    maskingErrors.push(`${subject}: ${problem}`);
+                } else if (strategy === 'null' && tableInfo.primaryKey.includes(columnName)) {
+                    maskingErrors.push(`${subject}: primary key columns can't be masked with null`);
+                } else if (strategy === 'null' && col.Null !== 'YES') {
+                    this.addWarning(`"${tableName}"."${columnName}" is NOT NULL but masked with null; the column accepts NULL in SQLite`);
+                }
+                digestMasking = digestMasking || strategy !== 'null';
+            }
+        }
+        if (maskingErrors.length > 0) {
+            throw new Error(`${this.config.source}:\n${maskingErrors.map(error => `  - ${error}`).join('\n')}`);
+        }
+        if (digestMasking && !this.options.maskingSecret) {
+            this.addWarning('masking without maskingSecret (MIGRATE_MASKING_SECRET): masked values can be matched by hashing guessed originals');
+        }
+
+        for (const [tableName, tableInfo] of tableInfos) {
+            tableInfo.foreignKeys = tableInfo.foreignKeys.filter(fk => {
+                if (tableInfos.has(fk.refTable)) return true;
+                this.addWarning(`foreign key ${fk.name} on "${tableName}" dropped: referenced table "${fk.refTable}" is not migrated`);
+                return false;
+            });
+            for (const fk of tableInfo.foreignKeys) {
+                if (fk.refTable !== tableName && this.config.rowFilters[fk.refTable] && !this.config.rowFilters[tableName]) {
+                    this.addWarning(`"${fk.refTable}" is filtered but "${tableName}" is not: rows referencing filtered-out rows break foreign key ${fk.name}`);
+                }
+            }
+        }
+    }
+
+    // Columns an INSERT writes: everything except the generated columns SQLite computes
+    insertableColumns(tableInfo) {
+        const generated = tableInfo.generatedColumns || new Map();
+        return tableInfo.columns.map(col => col.Field).filter(name => !generated.has(name));
+    }
+
+    // With zeroDatePolicy 'null', NOT NULL date columns that hold (or default to) zero
+    // dates have to accept NULL in SQLite; they are reported before anything is written
+    async findZeroDateColumns(tableName, columns) {
+        const nullable = new Set();
+        if (this.options.zeroDatePolicy !== 'null') return nullable;
+
+        for (const col of columns) {
+            if (col.Null === 'YES' || !temporalKind(col.Type)) continue;
+
+            let hasZeroDates = col.Default !== null && col.Default !== undefined
+                && parseCurrentTimestamp(col.Default) === null && !isValidTemporal(col.Default);
+            if (!hasZeroDates) {
+                const column = this.mysqlConnection.escapeId(col.Field);
+                const [rows] = await this.mysqlConnection.execute(
+                    `SELECT 1 AS found FROM ${this.mysqlConnection.escapeId(tableName)} WHERE MONTH(${column}) = 0 OR DAYOFMONTH(${column}) = 0 LIMIT 1`
+                );
+                hasZeroDates = rows.length > 0;
+            }
+
+            if (hasZeroDates) {
+                this.addWarning(`"${tableName}"."${col.Field}" is NOT NULL but has zero dates that become NULL; the column accepts NULL in SQLite`);
+                nullable.add(col.Field);
+            }
+        }
+
+        return nullable;
+    }
+
+    // Storage used for a DECIMAL column. Scaled integers fall back to exact text when
+    // the precision could overflow SQLite's 64-bit integers.
+    decimalStorageFor(col, tableName) {
+        // A TEXT type override keeps decimals exact instead of letting affinity reformat them
+        const override = tableName && (this.config.columnTypes[tableName] || {})[col.Field];
+        if (override && override.toUpperCase() === 'TEXT') {
+            return 'text';
+        }
+        const decimal = parseDecimalType(col.Type);
+        if (this.options.decimalStorage === 'integer' && decimal.precision > 18) {
+            return 'text';
+        }
+        return this.options.decimalStorage;
+    }
+
+    // SQLite column type, including the per-column storage options
+    sqliteColumnType(tableName, col) {
+        const override = (this.config.columnTypes[tableName] || {})[col.Field];
+        if (override) return override.toUpperCase();
+        if (this.isBinaryUuidColumn(tableName, col)) return 'TEXT';
+        const kind = temporalKind(col.Type);
+        if (kind && this.options.dateFormats[kind] === 'epoch') return 'INTEGER';
+        if (parseDecimalType(col.Type)) {
+            return { real: 'REAL', text: 'TEXT', integer: 'INTEGER' }[this.decimalStorageFor(col)];
+        }
+        return this.mapMySQLTypeToSQLite(col.Type);
+    }
+
+    isBinaryUuidColumn(tableName, col) {
+        if (!col || !/^binary\(16\)$/i.test(col.Type.trim())) return false;
+        const names = this.options.binaryUuidColumns;
+        return names.includes('*') || names.includes(`${tableName}.${col.Field}`);
+    }
+
+    isEnumCheckSkipped(tableName, columnName) {
+        return this.options.skipEnumChecks.includes(`${tableName}.${columnName}`);
+    }
+
+    // CHECK constraint keeping an ENUM or SET column to its allowed values, or '' for
+    // other columns. SET values are comma separated: every member is removed from
+    // ',' || value || ',' (with commas doubled so neighbouring members don't share
+    // one) and only an empty string may remain.
+    buildEnumCheck(tableName, col) {
+        const values = parseEnumValues(col.Type);
+        if (!values) return '';
+
+        const column = this.quoteColumn(tableName, col.Field);
+        const literals = values.map(value => this.escapeForSQLite(value));
+
+        if (/^enum\(/i.test(col.Type.trim())) {
+            return `CHECK (${column} IN (${literals.join(', ')}))`;
+        }
+
+        let remainder = `',' || replace(${column}, ',', ',,') || ','`;
+        for (const value of values) {
+            remainder = `replace(${remainder}, ${this.escapeForSQLite(`,${value},`)}, '')`;
+        }
+        return `CHECK (${column} = '' OR ${remainder} = '')`;
+    }
+
+    // Check existing ENUM values against the constraint before anything is written:
+    // columns with violating rows (such as MySQL's '' error value) are reported and
+    // left without a CHECK so that the import doesn't fail. SET columns always hold
+    // valid members in MySQL and aren't scanned.
+    async findEnumViolations(tableName, columns) {
+        const unchecked = new Set();
+
+        for (const col of columns) {
+            const values = parseEnumValues(col.Type);
+            if (!values) continue;
+
+            if (this.isEnumCheckSkipped(tableName, col.Field)) {
+                unchecked.add(col.Field);
+                continue;
+            }
+            if (!/^enum\(/i.test(col.Type.trim())) continue;
+
+            const column = this.mysqlConnection.escapeId(col.Field);
+            const [rows] = await this.mysqlConnection.execute(
+                `SELECT ${column} AS value, COUNT(*) AS count FROM ${this.mysqlConnection.escapeId(tableName)}
+                 WHERE ${column} IS NOT NULL AND BINARY ${column} NOT IN (${values.map(() => '?').join(', ')})
+                 GROUP BY ${column}`,
+                values
+            );
+
+            if (rows.length > 0) {
+                const total = rows.reduce((sum, row) => sum + Number(row.count), 0);
+                const samples = rows.slice(0, 5).map(row => `'${row.value}'`).join(', ');
+                this.addWarning(`${total} rows in "${tableName}"."${col.Field}" hold values outside the ENUM (${samples}); CHECK constraint left out for this column`);
+                unchecked.add(col.Field);
+            }
+        }
+
+        return unchecked;
+    }
+
+    // Single column definition for CREATE TABLE. Only a single-column primary key is
+    // declared inline; SQLite allows AUTOINCREMENT solely on an INTEGER PRIMARY KEY.
+    buildColumnDefinition(tableName, col, tableInfo) {
+        const { primaryKey, uncheckedColumns = new Set(), nullableDateColumns = new Set(), generatedColumns = new Map() } = tableInfo;
+        const type = this.sqliteColumnType(tableName, col);
+        const nullable = col.Null === 'YES' || nullableDateColumns.has(col.Field) || maskingFor(this.config, tableName, col.Field) === 'null' ? '' : 'NOT NULL';
+
+        const generated = generatedColumns.get(col.Field);
+        if (generated) {
+            const check = uncheckedColumns.has(col.Field) ? '' : this.buildEnumCheck(tableName, col);
+            return `${this.quoteColumn(tableName, col.Field)} ${type} ${nullable} GENERATED ALWAYS AS (${generated.expression}) ${generated.stored ? 'STORED' : 'VIRTUAL'} ${check}`.trim().replace(/ +/g, ' ');
+        }
+
+        const isSinglePrimaryKey = primaryKey.length === 1 && primaryKey[0] === col.Field;
+        const primaryKeyClause = isSinglePrimaryKey ? 'PRIMARY KEY' : '';
+
+        let autoIncrement = '';
+        if (col.Extra && col.Extra.includes('auto_increment')) {
+            if (isSinglePrimaryKey && type === 'INTEGER') {
+                autoIncrement = 'AUTOINCREMENT';
+            } else {
+                this.addWarning(`auto_increment on "${tableName}"."${col.Field}" dropped: SQLite only supports AUTOINCREMENT on a single INTEGER PRIMARY KEY column`);
+            }
+        }
+
+        let defaultValue = '';
+        if (col.Default !== null && col.Default !== undefined) {
+            const timestampPrecision = parseCurrentTimestamp(col.Default);
+            if (timestampPrecision !== null) {
+                defaultValue = `DEFAULT (${this.currentTimestampSQL(timestampPrecision, col)})`;
+            } else if (temporalKind(col.Type)) {
+                if (!isValidTemporal(col.Default) && this.options.zeroDatePolicy !== 'keep') {
+                    const replacement = this.applyZeroDatePolicy(col.Default);
+                    this.addWarning(`DEFAULT '${col.Default}' of "${tableName}"."${col.Field}" is not a valid date; ${replacement === null ? 'default removed' : `replaced with '${replacement}'`}`);
+                }
+                const literal = this.formatMySQLDateTime(col.Default, col);
+                defaultValue = literal === 'NULL' ? '' : `DEFAULT ${literal}`;
+            } else if (parseDecimalType(col.Type)) {
+                defaultValue = `DEFAULT ${this.formatDecimal(col.Default, col, tableName)}`;
+            } else if (type === 'TEXT') {
+                // Use the enhanced escaping for default values
+                defaultValue = `DEFAULT ${this.escapeForSQLite(col.Default)}`;
+            } else {
+                defaultValue = `DEFAULT ${col.Default}`;
+            }
+        }
+
+        const check = uncheckedColumns.has(col.Field) ? '' : this.buildEnumCheck(tableName, col);
+
+        return `${this.quoteColumn(tableName, col.Field)} ${type} ${nullable} ${primaryKeyClause} ${autoIncrement} ${defaultValue} ${check}`.trim().replace(/ +/g, ' ');
+    }
+
+    // CREATE TABLE statement for a table. Foreign keys named in cycleForeignKeys close a
+    // dependency cycle: they are left out when omitCycleForeignKeys is set (to be added
+    // by a rebuild after the data load) and declared deferrable otherwise.
+    buildCreateTableSQL(tableName, tableInfo, { name = sqliteTableName(this.config, tableName), cycleForeignKeys = new Set(), omitCycleForeignKeys = false } = {}) {
+        const { columns, primaryKey, foreignKeys, checks = [] } = tableInfo;
+        const columnDefinitions = columns.map(col => this.buildColumnDefinition(tableName, col, tableInfo));
+
+        // Composite keys can only be declared as a table constraint
+        if (primaryKey.length > 1) {
+            columnDefinitions.push(`PRIMARY KEY (${primaryKey.map(column => this.quoteColumn(tableName, column)).join(', ')})`);
+        }
+
+        for (const check of checks) {
+            columnDefinitions.push(`CONSTRAINT "${check.name}" CHECK (${check.sql})`);
+        }
+
+        // Append foreign keys
+        for (const fk of foreignKeys) {
+            const closesCycle = cycleForeignKeys.has(fk.name);
+            if (closesCycle && omitCycleForeignKeys) {
+                continue;
+            }
+
+            const fkColumns = fk.columns.map(col => this.quoteColumn(tableName, col)).join(', ');
+            const refColumns = fk.refColumns.map(col => this.quoteColumn(fk.refTable, col)).join(', ');
+            const deferrable = closesCycle ? ' DEFERRABLE INITIALLY DEFERRED' : '';
+            columnDefinitions.push(
+                `FOREIGN KEY(${fkColumns}) REFERENCES ${this.quoteTable(fk.refTable)}(${refColumns}) ON DELETE ${fk.onDelete} ON UPDATE ${fk.onUpdate}${deferrable}`
+            );
+        }
+
+        return `CREATE TABLE IF NOT EXISTS "${name}" (\n  ${columnDefinitions.join(',\n  ')}\n);`;
+    }
+
+    // SQLite can't add a foreign key with ALTER TABLE, so the rows are set aside in a
+    // plain copy, and the table is dropped, created with the full definition and
+    // refilled. Where foreign keys can't be switched off (D1, or inside a transaction)
+    // the drop counts the rows referencing the table as deferred violations; only
+    // inserting their parent rows again clears them, which renaming a copied table
+    // into place would not.
+    buildForeignKeyRebuildStatements(tableName, tableInfo) {
+        const table = this.quoteTable(tableName);
+        const rebuildName = `${sqliteTableName(this.config, tableName)}__fk_rebuild`;
+        const columnList = this.insertableColumns(tableInfo).map(name => this.quoteColumn(tableName, name)).join(', ');
+
+        return [
+            `PRAGMA foreign_keys = OFF;`,
+            `CREATE TABLE "${rebuildName}" AS SELECT ${columnList} FROM ${table};`,
+            `DROP TABLE ${table};`,
+            this.buildCreateTableSQL(tableName, tableInfo),
+            `INSERT INTO ${table} (${columnList}) SELECT ${columnList} FROM "${rebuildName}";`,
+            `DROP TABLE "${rebuildName}";`,
+            `PRAGMA foreign_keys = ${this.options.enforceForeignKeys ? 'ON' : 'OFF'};`
+        ];
+    }
+
+    // Translate MySQL views into CREATE VIEW statements, ordered so that views built on
+    // other views come later. Views that can't be translated are returned for manual review.
+    buildViewStatements(views) {
+        const viewNames = views.map(view => view.name);
+        const dependencies = new Map(views.map(view => {
+            const identifiers = view.definition ? referencedIdentifiers(view.definition) : new Set();
+            const references = viewNames
+                .filter(name => name !== view.name && identifiers.has(name.toLowerCase()))
+                .map(name => ({ name: `view ${name}`, refTable: name }));
+            return [view.name, references];
+        }));
+        const { order } = orderTablesByDependencies(viewNames, dependencies);
+
+        const statements = [];
+        const manualReview = [];
+
+        for (const name of order) {
+            const view = views.find(candidate => candidate.name === name);
+
+            if (!view.definition) {
+                manualReview.push({ view, reason: 'definition is not readable (SHOW VIEW privilege required)' });
+                continue;
+            }
+
+            try {
+                const { sql, unsupported } = translateMySQL(view.definition, {
+                    schema: this.mysqlConfig.database,
+                    renameIdentifier: (name, qualifier) => (qualifier
+                        ? sqliteColumnName(this.config, qualifier, name)
+                        : sqliteTableName(this.config, name))
+                });
+                if (unsupported.length > 0) {
+                    manualReview.push({ view, reason: `no SQLite equivalent for ${unsupported.join(', ')}` });
+                    continue;
+                }
+                statements.push(`CREATE VIEW IF NOT EXISTS ${this.quoteTable(view.name)} AS ${sql};`);
+            } catch (error) {
+                manualReview.push({ view, reason: error.message });
+            }
+        }
+
+        return { statements, manualReview };
+    }
+
+    // Apply a generated migration file to a better-sqlite3 database. With the defer
+    // strategy and foreign keys enforced, the load runs as a single transaction so
+    // deferred constraints are checked at COMMIT, the way D1 applies an import.
+    applyToSQLite(db, sql) {
+        const enforce = this.options.enforceForeignKeys;
+        db.pragma(`foreign_keys = ${enforce ? 'ON' : 'OFF'}`);
+
+        if (enforce && this.options.fkCycleStrategy === 'defer') {
+            db.transaction(() => db.exec(sql))();
+        } else {
+            db.exec(sql);
+        }
+    }
+
+    // Convert one MySQL value into a SQLite literal using the column metadata
+    formatValue(value, columnName, columnMeta, tableName) {
+        // Handle NULL values
+        if (value === null || value === undefined) {
+            return 'NULL';
+        }
+
+        // Binary values arrive as Buffers and are written as blob literals
+        if (Buffer.isBuffer(value)) {
+            if (this.isBinaryUuidColumn(tableName, columnMeta) && value.length === 16) {
+                return `'${formatUuid(value)}'`;
+            }
+            return `X'${value.toString('hex')}'`;
+        }
+
+        // Check column metadata for type-specific handling
+        if (columnMeta) {
+            const colType = columnMeta.Type.toLowerCase();
+
+            // Exact numbers: DECIMAL per the storage option, integers as exact literals
+            if (parseDecimalType(colType)) {
+                return this.formatDecimal(value, columnMeta, tableName);
+            }
+            if (isIntegerType(colType)) {
+                return this.formatInteger(value, columnName, tableName);
+            }
+            
+            // Handle JSON columns specifically
+            if (this.isJSONColumn(columnName, colType)) {
+                return this.handleJSONValue(value, columnName);
+            }
+            
+            // Handle date, datetime and timestamp columns
+            if (temporalKind(colType)) {
+                return this.formatMySQLDateTime(value, columnMeta, tableName);
+            }
+            
+            // Handle time columns
+            if (colType.includes('time') && !colType.includes('datetime') && !colType.includes('timestamp')) {
+                return this.escapeForSQLite(value);
+            }
+        }
+
+        // Handle different value types with proper escaping
+        return this.escapeForSQLite(value);
+    }
+
+    // DECIMAL value (a string from mysql2) as REAL, exact TEXT or scaled INTEGER literal
+    formatDecimal(value, col, tableName) {
+        const text = String(value);
+        switch (this.decimalStorageFor(col, tableName)) {
+            case 'text':
+                return this.escapeForSQLite(text);
+            case 'integer':
+                return scaleDecimal(text, parseDecimalType(col.Type).scale);
+            default:
+                return text;
+        }
+    }
+
+    // Integer literal written digit for digit. BIGINT values beyond 2^53 arrive as
+    // strings; SQLite still turns anything outside signed 64 bits into REAL.
+    formatInteger(value, columnName, tableName) {
+        const text = String(value);
+        if (!/^-?\d+$/.test(text)) {
+            return this.escapeForSQLite(value);
+        }
+
+        const magnitude = BigInt(text.replace('-', ''));
+        const key = `${tableName}.${columnName}`;
+        if (magnitude > SQLITE_MAX_INTEGER && !this.oversizedIntegerColumns.has(key)) {
+            this.oversizedIntegerColumns.add(key);
+            this.addWarning(`"${tableName}"."${columnName}" has values beyond SQLite's 64-bit integer range (e.g. ${text}); SQLite stores them as approximate REAL`);
+        }
+        return text;
+    }
+
+    // Copy of a row with the configured masking applied, before any value is escaped
+    maskRow(tableName, row, columnsMeta) {
+        const columns = this.config.masking[tableName];
+        if (!columns) return row;
+
+        const masked = { ...row };
+        let counts = this.maskedCounts.get(tableName);
+        if (!counts) {
+            counts = new Map();
+            this.maskedCounts.set(tableName, counts);
+        }
+        for (const [columnName, strategy] of Object.entries(columns)) {
+            if (!(columnName in row)) continue;
+            const col = columnsMeta.find(c => c.Field === columnName);
+            masked[columnName] = this.masker.mask(strategy, row[columnName], maskableKind(col.Type));
+            if (row[columnName] !== null && row[columnName] !== undefined) {
+                counts.set(columnName, (counts.get(columnName) || 0) + 1);
+            }
+        }
+        return masked;
+    }
+
+    buildInsertPrefix(tableName, columns) {
+        return `INSERT INTO ${this.quoteTable(tableName)} (${columns.map(col => this.quoteColumn(tableName, col)).join(', ')}) VALUES `;
+    }
+
+    // "(v1, v2, ...)" for one row
+    formatRowTuple(tableName, row, columns, columnsMeta) {
+        const values = columns.map(col => this.formatValue(row[col], col, columnsMeta.find(c => c.Field === col), tableName));
+        return `(${values.join(', ')})`;
+    }
+
+    buildInsertStatement(tableName, row, columnsMeta, columns = Object.keys(row)) {
+        return `${this.buildInsertPrefix(tableName, columns)}${this.formatRowTuple(tableName, row, columns, columnsMeta)};`;
+    }
+
+    // INSERT that overwrites the existing row with the same primary key, for
+    // incremental syncs. The row is expected to be masked already.
+    buildUpsertStatement(tableName, row, tableInfo) {
+        const columns = this.insertableColumns(tableInfo);
+        const keyColumns = tableInfo.primaryKey.map(col => this.quoteColumn(tableName, col));
+        const updates = columns
+            .filter(col => !tableInfo.primaryKey.includes(col))
+            .map(col => this.quoteColumn(tableName, col))
+            .map(col => `${col} = excluded.${col}`);
+        const action = updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+        return `${this.buildInsertPrefix(tableName, columns)}${this.formatRowTuple(tableName, row, columns, tableInfo.columns)} ON CONFLICT (${keyColumns.join(', ')}) ${action};`;
+    }
+
+    // SELECT for the rows of a table that pass its row filter, in primary key order
+    // when the filter has a limit. An extra condition (incremental syncs) selects
+    // changed rows and drops the limit, which only shapes full exports.
+    filteredSelectSQL(tableName, primaryKey, condition = null) {
+        const { where, limit: filterLimit } = rowFilterFor(this.config, tableName);
+        const limit = condition ? null : filterLimit;
+        const conditions = [where, condition].filter(Boolean).map(part => `(${part})`);
+        let sql = `SELECT * FROM ${this.mysqlConnection.escapeId(tableName)}`;
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        if (limit) {
+            if (primaryKey.length > 0) {
+                sql += ` ORDER BY ${primaryKey.map(name => this.mysqlConnection.escapeId(name)).join(', ')}`;
+            }
+            sql += ` LIMIT ${limit}`;
+        }
+        return sql;
+    }
+
+    // Yield a table's rows in chunks. The default mode loads the table with a single
+    // SELECT; streaming mode keeps memory flat by paging on the primary key, or by
+    // streaming the result set when the table has no primary key. Row filters apply
+    // in every mode; { condition, params } narrows the rows further, see filteredSelectSQL.
+    async *readTableRows(tableName, primaryKey, { condition = null, params: conditionParams = [] } = {}) {
+        const table = this.mysqlConnection.escapeId(tableName);
+        const { where, limit: filterLimit } = rowFilterFor(this.config, tableName);
+        const limit = condition ? null : filterLimit;
+
+        if (!this.options.streaming) {
+            const [rows] = await this.mysqlConnection.execute(this.filteredSelectSQL(tableName, primaryKey, condition), conditionParams);
+            yield rows;
+            return;
+        }
+
+        const chunkSize = this.options.chunkSize;
+
+        if (primaryKey.length === 0) {
+            // Streaming needs the callback-style connection that the promise wrapper holds
+            const stream = this.mysqlConnection.connection
+                .query(this.filteredSelectSQL(tableName, primaryKey, condition), conditionParams)
+                .stream({ highWaterMark: chunkSize });
+
+            let chunk = [];
+            for await (const row of stream) {
+                chunk.push(row);
+                if (chunk.length >= chunkSize) {
+                    yield chunk;
+                    chunk = [];
+                }
+            }
+            if (chunk.length > 0) {
+                yield chunk;
+            }
+            return;
+        }
+
+        // Keyset pagination: (a > ?) OR (a = ? AND b > ?) ... stays index-friendly on
+        // older MySQL versions where row constructor comparisons are not optimised
+        const keyColumns = primaryKey.map(name => this.mysqlConnection.escapeId(name));
+        const orderBy = keyColumns.join(', ');
+        const keysetCondition = keyColumns.map((column, i) => {
+            const equalities = keyColumns.slice(0, i).map(prev => `${prev} = ?`);
+            return `(${[...equalities, `${column} > ?`].join(' AND ')})`;
+        }).join(' OR ');
+
+        let lastKey = null;
+        let remaining = limit || Infinity;
+        while (remaining > 0) {
+            let sql = `SELECT * FROM ${table}`;
+            const conditions = [where, condition].filter(Boolean).map(part => `(${part})`);
+            const params = [...conditionParams];
+
+            if (lastKey) {
+                conditions.push(`(${keysetCondition})`);
+                primaryKey.forEach((_, i) => params.push(...lastKey.slice(0, i + 1)));
+            }
+            if (conditions.length > 0) {
+                sql += ` WHERE ${conditions.join(' AND ')}`;
+            }
+            const pageSize = Math.min(chunkSize, remaining);
+            sql += ` ORDER BY ${orderBy} LIMIT ${pageSize}`;
+
+            const [rows] = await this.mysqlConnection.execute(sql, params);
+            if (rows.length === 0) {
+                return;
+            }
+
+            yield rows;
+            remaining -= rows.length;
+
+            if (rows.length < pageSize) {
+                return;
+            }
+            const lastRow = rows[rows.length - 1];
+            lastKey = primaryKey.map(name => lastRow[name]);
+        }
+    }
+
+    // Rows of a table that are migrated, after its row filter
+    async countTableRows(tableName) {
+        const { where, limit } = rowFilterFor(this.config, tableName);
+        const [rows] = await this.mysqlConnection.execute(
+            `SELECT COUNT(*) AS count FROM ${this.mysqlConnection.escapeId(tableName)}${where ? ` WHERE (${where})` : ''}`
+        );
+        const count = Number(rows[0].count);
+        return limit ? Math.min(count, limit) : count;
+    }
+
+    // Write INSERT statements for one table, returning the number of rows written
+    async writeTableData(writer, tableName, tableInfo) {
+        const totalRows = this.options.streaming ? await this.countTableRows(tableName) : null;
+        let insertCount = 0;
+        let lastProgressAt = Date.now();
+
+        const batcher = this.options.multiRowInsert
+            ? new InsertBatcher(writer, this.options.insertMaxRows, this.options.insertMaxBytes)
+            : null;
+
+        const generated = tableInfo.generatedColumns || new Map();
+
+        for await (const rows of this.readTableRows(tableName, tableInfo.primaryKey)) {
+            for (const sourceRow of rows) {
+                const row = this.maskRow(tableName, sourceRow, tableInfo.columns);
+                const columns = Object.keys(row).filter(name => !generated.has(name));
+                if (batcher) {
+                    const tupleBytes = await batcher.add(
+                        this.buildInsertPrefix(tableName, columns),
+                        this.formatRowTuple(tableName, row, columns, tableInfo.columns)
+                    );
+                    if (tupleBytes > D1_MAX_STATEMENT_BYTES) {
+                        this.addWarning(`a row in table "${tableName}" produces a ${tupleBytes}-byte INSERT, over D1's ${D1_MAX_STATEMENT_BYTES}-byte statement limit`);
+                    }
+                } else {
+                    await writer.write(this.buildInsertStatement(tableName, row, tableInfo.columns, columns));
+                }
+                insertCount++;
+            }
+
+            if (totalRows !== null && Date.now() - lastProgressAt >= 1000) {
+                const percent = totalRows > 0 ? ((insertCount / totalRows) * 100).toFixed(1) : '100.0';
+                console.log(`  ${tableName}: ${insertCount}/${totalRows} rows (${percent}%)`);
+                lastProgressAt = Date.now();
+            }
+        }
+
+        if (batcher) {
+            await batcher.flush();
+        }
+
+        return insertCount;
+    }
+
+    // Read every included table and put them in dependency order, reporting foreign
+    // key cycles. Returns { tableNames, tableInfos, cycles, cycleForeignKeys }.
+    async readSchema() {
+        const discoveredTables = await this.getTableNames();
+        const tableInfos = new Map();
+
+        console.log(`Found ${discoveredTables.length} tables to migrate`);
+
+        for (const tableName of discoveredTables) {
+            console.log(`Reading schema for table: ${tableName}`);
+
+            tableInfos.set(tableName, await this.readTableInfo(tableName));
+        }
+
+        this.checkConfigAgainstSchema(tableInfos);
+
+        // Create and fill referenced tables first
+        const foreignKeysByTable = new Map(discoveredTables.map(name => [name, tableInfos.get(name).foreignKeys]));
+        const { order: tableNames, cycles, cycleForeignKeys } = orderTablesByDependencies(discoveredTables, foreignKeysByTable);
+
+        for (const cycle of cycles) {
+            const resolution = this.options.fkCycleStrategy === 'rebuild'
+                ? 'the closing foreign key is added after the data load by rebuilding the table'
+                : 'the closing foreign key is declared DEFERRABLE INITIALLY DEFERRED';
+            this.addWarning(`foreign key cycle: ${describeCycle(cycle)}; ${resolution}`);
+        }
+
+        return { tableNames, tableInfos, cycles, cycleForeignKeys };
+    }
+
+    // DDL of the database the SQL file leaves behind, without the data: tables with
+    // all their foreign keys, then indexes, triggers and views. Tables come as
+    // { name, mysqlName, sql, columnDefinitions } with SQLite names, so a schema diff
+    // can add single columns and recreate tables under another name.
+    async buildSchemaStatements() {
+        const { tableNames, tableInfos, cycleForeignKeys } = await this.readSchema();
+        const usedIndexNames = new Set(tableNames.map(name => sqliteTableName(this.config, name).toLowerCase()));
+        const schema = { tables: [], indexes: [], triggers: [], views: [] };
+
+        for (const tableName of tableNames) {
+            const tableInfo = tableInfos.get(tableName);
+            schema.tables.push({
+                name: sqliteTableName(this.config, tableName),
+                mysqlName: tableName,
+                // A rebuild leaves the cycle-closing foreign key as an ordinary one
+                sql: this.buildCreateTableSQL(tableName, tableInfo, {
+                    cycleForeignKeys: this.options.fkCycleStrategy === 'defer' ? cycleForeignKeys.get(tableName) : undefined
+                }),
+                columnDefinitions: new Map(tableInfo.columns.map(col => [
+                    sqliteColumnName(this.config, tableName, col.Field),
+                    this.buildColumnDefinition(tableName, col, tableInfo)
+                ]))
+            });
+            schema.indexes.push(...this.buildIndexStatements(tableName, tableInfo.indexes, usedIndexNames));
+
+            const trigger = this.buildOnUpdateTrigger(tableName, tableInfo);
+            if (trigger) {
+                schema.triggers.push(trigger);
+            }
+        }
+
+        const { statements: viewStatements, manualReview } = this.buildViewStatements(await this.getViews());
+        schema.views.push(...viewStatements);
+        for (const { view, reason } of manualReview) {
+            this.addWarning(`view "${view.name}" needs manual review: ${reason}`);
+        }
+
+        return schema;
+    }
+
+    async generateSQLFile(outputFile = this.sqliteFile) {
+        this.sqliteFile = outputFile;
+        const outputDir = path.dirname(outputFile);
+
+        if (!fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        if (fs.existsSync(outputFile)) {
+            fs.unlinkSync(outputFile);
+        }
+
+        const schema = await this.readSchema();
+        return this.writeMigration(new SQLFileWriter(outputFile), schema, this.options.fkCycleStrategy);
+    }
+
+    // Write wrangler migrations into a directory: NNNN_initial_schema.sql, data seed
+    // files of at most seedFileMaxBytes, then NNNN_indexes_and_triggers.sql, numbered
+    // from firstNumber. Wrangler applies each file in its own transaction, so a
+    // deferred foreign key can't wait for rows in a later file; cycles are always
+    // closed by the rebuild in the last file. Returns the file names.
+    async generateMigrationFiles(dir, { firstNumber = 1 } = {}) {
+        fs.mkdirSync(dir, { recursive: true });
+        const schema = await this.readSchema();
+        const writer = new MigrationFileWriter(dir, firstNumber, this.options.seedFileMaxBytes);
+        await this.writeMigration(writer, schema, 'rebuild');
+        return writer.files;
+    }
+
+    // Write the schema, data and post-data phases of a migration. The writer is told
+    // when each phase begins, so a migration directory can put them in separate files.
+    async writeMigration(writer, { tableNames, tableInfos, cycles, cycleForeignKeys }, strategy) {
+        // Indexes and triggers are created after the data load so inserts don't pay for them
+        const indexStatements = [];
+        const triggerStatements = [];
+        const usedIndexNames = new Set(tableNames.map(name => sqliteTableName(this.config, name).toLowerCase()));
+
+        try {
+            await writer.beginPhase('schema');
+            // Add SQLite pragmas for better compatibility
+            await writer.write(`PRAGMA foreign_keys = ${this.options.enforceForeignKeys ? 'ON' : 'OFF'};`);
+            if (cycles.length > 0 && strategy === 'defer') {
+                await writer.write(`PRAGMA defer_foreign_keys = ON;`);
+            }
+            await writer.write(`-- Generated from MySQL to SQLite migration`);
+            await writer.write(`-- Generated on: ${new Date().toISOString()}`);
+            await writer.write(`-- Table order: ${tableNames.map(name => sqliteTableName(this.config, name)).join(', ')}`);
+
+            if (this.options.streaming) {
+                console.log(`Streaming mode: reading rows in chunks of ${this.options.chunkSize}`);
+            }
+
+            for (const tableName of tableNames) {
+                console.log(`Generating schema for table: ${tableName}`);
+                const tableInfo = tableInfos.get(tableName);
+
+                await writer.write(this.buildCreateTableSQL(tableName, tableInfo, {
+                    cycleForeignKeys: cycleForeignKeys.get(tableName),
+                    omitCycleForeignKeys: strategy === 'rebuild'
+                }));
+
+                indexStatements.push(...this.buildIndexStatements(tableName, tableInfo.indexes, usedIndexNames));
+
+                const trigger = this.buildOnUpdateTrigger(tableName, tableInfo);
+                if (trigger) {
+                    triggerStatements.push(trigger);
+                }
+            }
+
+            // Generate data inserts
+            await writer.beginPhase('data');
+            let totalRows = 0;
+            for (const tableName of tableNames) {
+                console.log(`Generating data for table: ${tableName}`);
+
+                let insertCount;
+                try {
+                    insertCount = await this.writeTableData(writer, tableName, tableInfos.get(tableName));
+                } catch (error) {
+                    // Skipping the table would leave its rows half written, so the run fails
+                    console.error(`Error generating data for table ${tableName}:`, error.message);
+                    throw error;
+                }
+
+                if (insertCount === 0) {
+                    console.log(`  No data found in table: ${tableName}`);
+                    continue;
+                }
+
+                totalRows += insertCount;
+                console.log(`  Generated inserts for ${insertCount} rows in table: ${tableName}`);
+            }
+
+            await writer.beginPhase('post-data');
+            if (strategy === 'rebuild' && cycleForeignKeys.size > 0) {
+                await writer.write(`-- Add cycle-closing foreign keys by rebuilding tables`);
+                for (const tableName of cycleForeignKeys.keys()) {
+                    for (const statement of this.buildForeignKeyRebuildStatements(tableName, tableInfos.get(tableName))) {
+                        await writer.write(statement);
+                    }
+                }
+            }
+
+            if (indexStatements.length > 0) {
+                await writer.write(`-- Indexes`);
+                for (const statement of indexStatements) {
+                    await writer.write(statement);
+                }
+            }
+
+            if (triggerStatements.length > 0) {
+                await writer.write(`-- Triggers emulating ON UPDATE CURRENT_TIMESTAMP`);
+                for (const statement of triggerStatements) {
+                    await writer.write(statement);
+                }
+            }
+
+            // Views come last, once every table they select from exists
+            const views = await this.getViews();
+            const { statements: viewStatements, manualReview } = this.buildViewStatements(views);
+            if (viewStatements.length > 0) {
+                await writer.write(`-- Views`);
+                for (const statement of viewStatements) {
+                    await writer.write(statement);
+                }
+            }
+            for (const { view, reason } of manualReview) {
+                this.addWarning(`view "${view.name}" needs manual review: ${reason}`);
+                await writer.write(`-- MANUAL REVIEW: view "${view.name}" was not migrated (${reason})`);
+                if (view.definition) {
+                    await writer.write(`-- MySQL definition: ${view.definition.replace(/\s*\n\s*/g, ' ')}`);
+                }
+            }
+            for (const tableName of tableNames) {
+                for (const { subject, reason, definition } of tableInfos.get(tableName).manualReview) {
+                    await writer.write(`-- MANUAL REVIEW: ${subject} could not be translated (${reason})`);
+                    await writer.write(`-- MySQL definition: ${definition.replace(/\s*\n\s*/g, ' ')}`);
+                }
+            }
+
+            if (this.zeroDateCounts.size > 0) {
+                const counts = Array.from(this.zeroDateCounts, ([table, count]) => `"${table}" ${count}`).join(', ');
+                await writer.write(`-- Zero or invalid dates (policy ${this.options.zeroDatePolicy}): ${counts}`);
+            }
+            for (const line of this.dataPolicyReport(tableNames)) {
+                await writer.write(`-- ${line}`);
+            }
+
+            // Add summary comment
+            await writer.write(`-- Migration completed: ${tableNames.length} tables, ${totalRows} rows, ${indexStatements.length} indexes, ${triggerStatements.length} triggers, ${viewStatements.length} views`);
+
+            await writer.close();
+
+            console.log(writer.summary());
+            console.log(`Total statements: ${writer.count}`);
+            console.log(`Total data rows: ${totalRows}`);
+            console.log(`Total indexes: ${indexStatements.length}`);
+            console.log(`Total triggers: ${triggerStatements.length}`);
+            console.log(`Total views: ${viewStatements.length}${manualReview.length > 0 ? ` (${manualReview.length} need manual review)` : ''}`);
+        } catch (error) {
+            writer.destroy();
+            throw error;
+        }
+
+        if (this.warnings.length > 0) {
+            console.log(`Migration warnings (${this.warnings.length}):`);
+            this.warnings.forEach(warning => console.log(`  - ${warning}`));
+        }
+
+        if (this.zeroDateCounts.size > 0) {
+            const action = { keep: 'kept as is', null: 'written as NULL', sentinel: `replaced with '${this.options.zeroDateSentinel}'` }[this.options.zeroDatePolicy];
+            console.log(`Zero or invalid dates ${action}:`);
+            this.zeroDateCounts.forEach((count, table) => console.log(`  - ${table}: ${count}`));
+        }
+
+        const dataPolicies = this.dataPolicyReport(tableNames);
+        if (dataPolicies.length > 0) {
+            console.log('Row filters and masking:');
+            dataPolicies.forEach(line => console.log(`  - ${line}`));
+        }
+        
+        return writer.count;
+    }
+
+    // Report lines for the configured row filters and masked columns
+    dataPolicyReport(tableNames) {
+        const lines = [];
+        for (const tableName of tableNames) {
+            const { where, limit } = rowFilterFor(this.config, tableName);
+            if (where || limit) {
+                const parts = [where && `WHERE ${where}`, limit && `LIMIT ${limit}`].filter(Boolean);
+                lines.push(`Row filter "${tableName}": ${parts.join(' ')}`);
+            }
+        }
+        for (const tableName of tableNames) {
+            const columns = this.config.masking[tableName] || {};
+            const counts = this.maskedCounts.get(tableName) || new Map();
+            for (const [columnName, strategy] of Object.entries(columns)) {
+                lines.push(`Masked "${tableName}"."${columnName}" with ${strategy}: ${counts.get(columnName) || 0} values`);
+            }
+        }
+        return lines;
+    }
+
+    // Method to validate the generated SQL
+    async validateGeneratedSQL() {
+        if (!fs.existsSync(this.sqliteFile)) {
+            console.log('No SQL file found to validate');
+            return false;
+        }
+
+        const bytes = fs.readFileSync(this.sqliteFile);
+        const content = bytes.toString('utf8');
+        
+        // Basic validation checks
+        const issues = [];
+
+        // Check for content that isn't valid UTF-8, or text that was already decoded
+        // with replacement characters (U+FFFD) before it reached the file
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            issues.push('File is not valid UTF-8');
+        }
+        const replacementLines = [];
+        content.split('\n').forEach((line, i) => {
+            if (line.includes('\uFFFD')) replacementLines.push(i + 1);
+        });
+        if (replacementLines.length > 0) {
+            const shown = replacementLines.slice(0, 10).join(', ');
+            issues.push(`${replacementLines.length} lines contain U+FFFD replacement characters, text columns may hold non-UTF-8 data (lines ${shown}${replacementLines.length > 10 ? ', ...' : ''})`);
+        }
+        
+        // Check for unmatched quotes
         const singleQuotes = (content.match(/'/g) || []).length;
         if (singleQuotes % 2 !== 0) {
             issues.push('Unmatched single quotes detected');
@@ -412,7 +1986,7 @@ class MySQLToSQLiteMigrator {
             issues.push(`${objectInstances.length} '[object Object]' instances found - JSON serialization may have failed`);
         }
         
-        // Check for unescaped newlines (should be \\n not literal newlines in VALUES)
+        // Check for unescaped newlines (values stay on one line, control characters are written with char())
         const valuesRegex = /VALUES\s*\([^)]*\n[^)]*\)/gi;
         const badNewlines = content.match(valuesRegex);
         if (badNewlines && badNewlines.length > 0) {
@@ -429,6 +2003,161 @@ class MySQLToSQLiteMigrator {
         return true;
     }
 
+    // Bytes SQLite should hold for a MySQL value (as read through CAST(... AS BLOB)),
+    // or null when the value isn't compared. Integers and exact decimals compare by
+    // their digits, so a value that went through floating point shows up as changed.
+    roundTripBytes(tableName, col, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (parseDecimalType(col.Type)) {
+            const storage = this.decimalStorageFor(col, tableName);
+            const text = String(value);
+            return Buffer.from(storage === 'integer' ? scaleDecimal(text, parseDecimalType(col.Type).scale) : text, 'utf8');
+        }
+        if (isIntegerType(col.Type) && /^-?\d+$/.test(String(value))) {
+            return Buffer.from(String(value), 'utf8');
+        }
+        if (temporalKind(col.Type)) {
+            const resolved = isValidTemporal(value) ? value : this.applyZeroDatePolicy(value);
+            return resolved === null ? null : Buffer.from(this.temporalText(resolved, col), 'utf8');
+        }
+        if (typeof value === 'string') {
+            return Buffer.from(value, 'utf8');
+        }
+        if (Buffer.isBuffer(value)) {
+            return this.isBinaryUuidColumn(tableName, col) && value.length === 16
+                ? Buffer.from(formatUuid(value), 'utf8')
+                : value;
+        }
+        return null;
+    }
+
+    // REAL decimals can't keep trailing zeros, so they match when the stored double
+    // rounds back to the MySQL value at the column's scale
+    roundTripMatches(tableName, col, expectedBytes, actual) {
+        if (!actual) return false;
+
+        const decimal = parseDecimalType(col.Type);
+        if (decimal && this.decimalStorageFor(col, tableName) === 'real') {
+            return Number(actual.toString()).toFixed(decimal.scale) === expectedBytes.toString();
+        }
+        return expectedBytes.equals(actual);
+    }
+
+    // Normalised form of a MySQL value for content checksums, or null for NULL. It
+    // matches checksumStoredValue() of the value SQLite holds when the value survived
+    // the migration: bytes as "x:<hex>", floating point as "n:<digits>" rounded to
+    // what a REAL keeps.
+    checksumValue(tableName, col, value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        const decimal = parseDecimalType(col.Type);
+        if (decimal && this.decimalStorageFor(col, tableName) === 'real') {
+            return `n:${Number(value).toFixed(decimal.scale)}`;
+        }
+        if (isFloatingType(col.Type)) {
+            return `n:${Number(value).toPrecision(15)}`;
+        }
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return `x:${Buffer.from(this.escapeForSQLite(value), 'utf8').toString('hex')}`;
+        }
+        if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+            return `x:${Buffer.from(JSON.stringify(value), 'utf8').toString('hex')}`;
+        }
+        const bytes = this.roundTripBytes(tableName, col, value);
+        return bytes ? `x:${bytes.toString('hex')}` : null;
+    }
+
+    // Normalised form of a SQLite value read as hex(value), see checksumValue()
+    checksumStoredValue(tableName, col, hex) {
+        if (hex === null || hex === undefined) {
+            return null;
+        }
+        const decimal = parseDecimalType(col.Type);
+        if (decimal && this.decimalStorageFor(col, tableName) === 'real') {
+            return `n:${Number(Buffer.from(hex, 'hex').toString('utf8')).toFixed(decimal.scale)}`;
+        }
+        if (isFloatingType(col.Type)) {
+            return `n:${Number(Buffer.from(hex, 'hex').toString('utf8')).toPrecision(15)}`;
+        }
+        return `x:${hex.toLowerCase()}`;
+    }
+
+    // Primary key value as stored in SQLite, to look up a MySQL row there
+    sqliteKeyValue(tableName, col, value) {
+        if (Buffer.isBuffer(value) && this.isBinaryUuidColumn(tableName, col) && value.length === 16) {
+            return formatUuid(value);
+        }
+        if (temporalKind(col.Type)) {
+            const text = this.temporalText(value, col);
+            return /^-?\d+$/.test(text) ? Number(text) : text;
+        }
+        return value;
+    }
+
+    // Round-trip check: compare a random sample of rows byte for byte between MySQL
+    // and a SQLite database loaded from the generated file. Rows are matched on the
+    // primary key; text values are compared as UTF-8 bytes and binary values as raw
+    // bytes against CAST(... AS BLOB). Samples come from the filtered rows and are
+    // masked before comparing.
+    async verifyRoundTrip(db, sampleSize = 100) {
+        const result = { tables: 0, rows: 0, values: 0, mismatches: [], skipped: [] };
+
+        for (const tableName of await this.getTableNames()) {
+            const columns = await this.getTableSchema(tableName);
+            const primaryKey = await this.getPrimaryKey(tableName);
+
+            if (primaryKey.length === 0) {
+                result.skipped.push({ table: tableName, reason: 'no primary key to match rows on' });
+                continue;
+            }
+
+            const [sourceRows] = await this.mysqlConnection.execute(
+                `SELECT * FROM (${this.filteredSelectSQL(tableName, primaryKey)}) AS migrated ORDER BY RAND() LIMIT ${Number(sampleSize)}`
+            );
+            const rows = sourceRows.map(row => this.maskRow(tableName, row, columns));
+
+            const selectList = columns.map(col => `CAST(${this.quoteColumn(tableName, col.Field)} AS BLOB) AS "${col.Field}"`).join(', ');
+            const where = primaryKey.map(name => `${this.quoteColumn(tableName, name)} = ?`).join(' AND ');
+            const lookup = db.prepare(`SELECT ${selectList} FROM ${this.quoteTable(tableName)} WHERE ${where}`);
+
+            result.tables++;
+            for (const row of rows) {
+                const key = primaryKey.map(name => this.sqliteKeyValue(tableName, columns.find(c => c.Field === name), row[name]));
+                const sqliteRow = lookup.get(...key);
+                const label = primaryKey.map((name, i) => `${name}=${Buffer.isBuffer(key[i]) ? `x'${key[i].toString('hex')}'` : key[i]}`).join(', ');
+
+                if (!sqliteRow) {
+                    result.mismatches.push({ table: tableName, key: label, column: null, reason: 'row missing in SQLite' });
+                    continue;
+                }
+
+                result.rows++;
+                for (const col of columns) {
+                    // Generated values in SQLite are computed from the masked columns
+                    if (this.config.masking[tableName] && /GENERATED/i.test(col.Extra)) continue;
+                    const expectedBytes = this.roundTripBytes(tableName, col, row[col.Field]);
+                    if (!expectedBytes) continue;
+
+                    result.values++;
+                    const actual = sqliteRow[col.Field];
+                    if (!this.roundTripMatches(tableName, col, expectedBytes, actual)) {
+                        result.mismatches.push({
+                            table: tableName,
+                            key: label,
+                            column: col.Field,
+                            reason: `expected ${describeBytes(expectedBytes)}, got ${actual ? describeBytes(actual) : 'NULL'}`
+                        });
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
     async closeConnection() {
         if (this.mysqlConnection) {
             await this.mysqlConnection.end();
@@ -471,4 +2200,74 @@ function parseMySQLUrl(url) {
     };
 }
 
-module.exports = { MySQLToSQLiteMigrator, parseMySQLUrl };
+function parseBooleanEnv(value) {
+    return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Migrator options from environment variables, for the scripts in this repo
+function migratorOptionsFromEnv(env = process.env) {
+    const options = {};
+
+    if (env.MIGRATE_STREAMING !== undefined) {
+        options.streaming = parseBooleanEnv(env.MIGRATE_STREAMING);
+    }
+    if (env.MIGRATE_CHUNK_SIZE) {
+        options.chunkSize = parseInt(env.MIGRATE_CHUNK_SIZE, 10);
+    }
+    if (env.MIGRATE_MULTI_ROW_INSERT !== undefined) {
+        options.multiRowInsert = parseBooleanEnv(env.MIGRATE_MULTI_ROW_INSERT);
+    }
+    if (env.MIGRATE_INSERT_MAX_ROWS) {
+        options.insertMaxRows = parseInt(env.MIGRATE_INSERT_MAX_ROWS, 10);
+    }
+    if (env.MIGRATE_INSERT_MAX_BYTES) {
+        options.insertMaxBytes = parseInt(env.MIGRATE_INSERT_MAX_BYTES, 10);
+    }
+    if (env.MIGRATE_SEED_FILE_MAX_BYTES) {
+        options.seedFileMaxBytes = parseInt(env.MIGRATE_SEED_FILE_MAX_BYTES, 10);
+    }
+
+    if (env.MIGRATE_ENFORCE_FOREIGN_KEYS !== undefined) {
+        options.enforceForeignKeys = parseBooleanEnv(env.MIGRATE_ENFORCE_FOREIGN_KEYS);
+    }
+    if (env.MIGRATE_FK_CYCLE_STRATEGY) {
+        options.fkCycleStrategy = env.MIGRATE_FK_CYCLE_STRATEGY;
+    }
+    if (env.MIGRATE_SKIP_ENUM_CHECKS) {
+        options.skipEnumChecks = env.MIGRATE_SKIP_ENUM_CHECKS.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    if (env.MIGRATE_DECIMAL_STORAGE) {
+        options.decimalStorage = env.MIGRATE_DECIMAL_STORAGE;
+    }
+    if (env.MIGRATE_CONNECTION_TIMEZONE) {
+        options.connectionTimezone = env.MIGRATE_CONNECTION_TIMEZONE;
+    }
+    if (env.MIGRATE_OUTPUT_TIMEZONE) {
+        options.outputTimezone = env.MIGRATE_OUTPUT_TIMEZONE;
+    }
+    if (env.MIGRATE_DATETIME_TIMEZONE) {
+        options.datetimeTimezone = env.MIGRATE_DATETIME_TIMEZONE;
+    }
+    for (const kind of ['datetime', 'timestamp', 'date']) {
+        const format = env[`MIGRATE_${kind.toUpperCase()}_FORMAT`];
+        if (format) {
+            options.dateFormats = { ...options.dateFormats, [kind]: format };
+        }
+    }
+    if (env.MIGRATE_ZERO_DATE_POLICY) {
+        options.zeroDatePolicy = env.MIGRATE_ZERO_DATE_POLICY;
+    }
+    if (env.MIGRATE_ZERO_DATE_SENTINEL) {
+        options.zeroDateSentinel = env.MIGRATE_ZERO_DATE_SENTINEL;
+    }
+    if (env.MIGRATE_BINARY_UUID_COLUMNS) {
+        options.binaryUuidColumns = env.MIGRATE_BINARY_UUID_COLUMNS.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    if (env.MIGRATE_MASKING_SECRET) {
+        options.maskingSecret = env.MIGRATE_MASKING_SECRET;
+    }
+
+    return options;
+}
+
+module.exports = { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv, parseBooleanEnv, D1_MAX_STATEMENT_BYTES };
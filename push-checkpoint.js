@@ -0,0 +1,127 @@
+// Checkpoint file for resumable D1 pushes. It records which prefix of the SQL file's
+// statements has been applied and the tables and row counts D1 should hold at that
+// point, so a resumed push can check that nothing changed before continuing.
+const fs = require('fs');
+const crypto = require('crypto');
+
+const CHECKPOINT_VERSION = 1;
+
+function checkpointPath(sqlFile) {
+    return `${sqlFile}.checkpoint.json`;
+}
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function createCheckpoint(sqlFile, databaseId, totalStatements) {
+    return {
+        version: CHECKPOINT_VERSION,
+        sqlFile,
+        sha256: hashFile(sqlFile),
+        databaseId,
+        totalStatements,
+        appliedStatements: 0,
+        phase: null,
+        batch: 0,
+        // Tables D1 holds after the applied statements, with their row counts
+        tables: {},
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Written to a temporary file first so an interrupted write never leaves a torn checkpoint
+function saveCheckpoint(checkpoint) {
+    const file = checkpointPath(checkpoint.sqlFile);
+    checkpoint.updatedAt = new Date().toISOString();
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(checkpoint, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function loadCheckpoint(sqlFile) {
+    const file = checkpointPath(sqlFile);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No checkpoint to resume from: ${file} does not exist`);
+    }
+    const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+        throw new Error(`Checkpoint ${file} has version ${checkpoint.version}, expected ${CHECKPOINT_VERSION}`);
+    }
+    return checkpoint;
+}
+
+function removeCheckpoint(sqlFile) {
+    const file = checkpointPath(sqlFile);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+// Problems that make the checkpoint unusable for this file and database
+function checkpointFileProblems(checkpoint, sqlFile, databaseId, totalStatements) {
+    const problems = [];
+    if (checkpoint.sha256 !== hashFile(sqlFile)) {
+        problems.push(`${sqlFile} changed since the checkpoint was written`);
+    }
+    if (checkpoint.databaseId !== databaseId) {
+        problems.push(`the checkpoint is for D1 database ${checkpoint.databaseId}, not ${databaseId}`);
+    }
+    if (checkpoint.totalStatements !== totalStatements) {
+        problems.push(`the checkpoint counted ${checkpoint.totalStatements} statements, the file has ${totalStatements}`);
+    }
+    return problems;
+}
+
+// Differences between the tables recorded in the checkpoint and the row counts
+// found in D1 (null for tables that don't exist)
+function checkpointStateProblems(checkpoint, d1Counts) {
+    const problems = [];
+    for (const [table, rows] of Object.entries(checkpoint.tables)) {
+        if (d1Counts[table] === undefined || d1Counts[table] === null) {
+            problems.push(`table "${table}" is missing in D1`);
+        } else if (d1Counts[table] !== rows) {
+            problems.push(`"${table}" has ${d1Counts[table]} rows in D1, the checkpoint expects ${rows}`);
+        }
+    }
+    for (const table of Object.keys(d1Counts)) {
+        if (!(table in checkpoint.tables) && d1Counts[table] !== null) {
+            problems.push(`table "${table}" exists in D1 but not in the checkpoint`);
+        }
+    }
+    return problems;
+}
+
+const unquote = name => name.replace(/^"|"$/g, '').replace(/""/g, '"');
+const NAME = '("(?:[^"]|"")+"|\\w+)';
+
+// Apply one statement's effect on the table list: CREATE/DROP/RENAME change the
+// tables, INSERTs add the rows D1 reported as changed
+function recordStatement(checkpoint, statement, changes) {
+    const sql = statement.trim();
+    let match;
+
+    if ((match = sql.match(new RegExp(`^CREATE TABLE (?:IF NOT EXISTS )?${NAME}`, 'i')))) {
+        const table = unquote(match[1]);
+        if (!(table in checkpoint.tables)) checkpoint.tables[table] = 0;
+    } else if ((match = sql.match(new RegExp(`^INSERT INTO ${NAME}`, 'i')))) {
+        const table = unquote(match[1]);
+        checkpoint.tables[table] = (checkpoint.tables[table] || 0) + (changes || 0);
+    } else if ((match = sql.match(new RegExp(`^DROP TABLE (?:IF EXISTS )?${NAME}`, 'i')))) {
+        delete checkpoint.tables[unquote(match[1])];
+    } else if ((match = sql.match(new RegExp(`^ALTER TABLE ${NAME} RENAME TO ${NAME}`, 'i')))) {
+        const from = unquote(match[1]);
+        checkpoint.tables[unquote(match[2])] = checkpoint.tables[from];
+        delete checkpoint.tables[from];
+    }
+
+    checkpoint.appliedStatements++;
+}
+
+module.exports = {
+    checkpointPath,
+    createCheckpoint,
+    saveCheckpoint,
+    loadCheckpoint,
+    removeCheckpoint,
+    checkpointFileProblems,
+    checkpointStateProblems,
+    recordStatement
+};
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+// Schema diff between MySQL and a live D1 database. The schema generateSQLFile()
+// would produce is loaded into an in-memory SQLite database, both sides are read
+// with the same sqlite_master and pragma queries, and the differences are reported
+// together with the DDL that brings D1 in line. Changes ALTER TABLE can't make are
+// done with SQLite's table-rebuild procedure (create copy, copy rows, drop, rename).
+require('dotenv').config();
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig } = require('./migration-config');
+const { executeD1RawSQL, requireD1Env } = require('./migrate-d1');
+
+// Objects SQLite, D1 and wrangler manage themselves, which the diff leaves alone
+const objectFilter = column => `${column} NOT LIKE 'sqlite_%' AND ${column} NOT LIKE '\\_cf\\_%' ESCAPE '\\' AND ${column} <> 'd1_migrations'`;
+
+const normalizeSQL = sql => (sql || '').replace(/\s+/g, ' ').trim();
+
+// The WHERE clause of a partial index. SQLite has no pragma for it, so it is read
+// from the CREATE INDEX statement, after the column list.
+function partialIndexWhere(sql) {
+    const match = (sql || '').match(/\)\s*WHERE\s+([\s\S]+?)\s*;?\s*$/i);
+    return match ? normalizeSQL(match[1]) : null;
+}
+
+// Read a schema through query(sql), which returns rows as objects. Columns come from
+// table_xinfo rather than table_info so generated columns are included.
+async function introspectSchema(query) {
+    const schema = { tables: new Map(), triggers: new Map(), views: new Map() };
+    const indexSQL = new Map();
+
+    for (const { type, name, tbl_name: table, sql } of await query(`SELECT type, name, tbl_name, sql FROM sqlite_master WHERE ${objectFilter('name')} ORDER BY name;`)) {
+        if (type === 'table') {
+            schema.tables.set(name, { sql, columns: new Map(), indexes: new Map(), uniqueConstraints: new Set(), foreignKeys: new Set() });
+        } else if (type === 'index') {
+            indexSQL.set(name, sql);
+        } else if (type === 'trigger') {
+            schema.triggers.set(name, { table, sql });
+        } else if (type === 'view') {
+            schema.views.set(name, { sql });
+        }
+    }
+
+    const tablesJoin = `FROM sqlite_master m JOIN`;
+    const tablesWhere = `WHERE m.type = 'table' AND ${objectFilter('m.name')}`;
+
+    for (const row of await query(`SELECT m.name AS table_name, p.name, p.type, p."notnull", p.dflt_value, p.pk, p.hidden ${tablesJoin} pragma_table_xinfo(m.name) p ${tablesWhere} ORDER BY m.name, p.cid;`)) {
+        schema.tables.get(row.table_name).columns.set(row.name, {
+            type: (row.type || '').toUpperCase(),
+            notNull: Boolean(row.notnull),
+            default: row.dflt_value,
+            primaryKey: row.pk,
+            // 2 and 3 are VIRTUAL and STORED generated columns
+            generated: row.hidden === 2 || row.hidden === 3
+        });
+    }
+
+    const indexes = new Map();
+    // index_xinfo also lists the rowid and other non-key columns; key = 1 keeps the indexed ones
+    for (const row of await query(`SELECT m.name AS table_name, il.name AS index_name, il."unique", il.origin, il.partial, ii.seqno, ii.cid, ii.name AS column_name, ii."desc", ii.coll ${tablesJoin} pragma_index_list(m.name) il JOIN pragma_index_xinfo(il.name) ii ${tablesWhere} AND ii."key" = 1 ORDER BY m.name, il.name, ii.seqno;`)) {
+        const key = `${row.table_name}\0${row.index_name}`;
+        if (!indexes.has(key)) {
+            indexes.set(key, { table: row.table_name, name: row.index_name, unique: Boolean(row.unique), origin: row.origin, partial: Boolean(row.partial), columns: [], keyColumns: [] });
+        }
+        const index = indexes.get(key);
+        index.columns.push(row.column_name);
+        // Column names are case-insensitive; expression columns (cid -2) have no name
+        // and are compared by their text in the CREATE INDEX statement instead
+        const column = row.cid === -2 ? '(expression)' : row.column_name.toLowerCase();
+        const collation = row.coll && row.coll.toUpperCase() !== 'BINARY' ? ` COLLATE ${row.coll.toUpperCase()}` : '';
+        index.keyColumns.push(`${column}${collation}${row.desc ? ' DESC' : ''}`);
+    }
+    for (const index of indexes.values()) {
+        const table = schema.tables.get(index.table);
+        if (index.origin === 'c') {
+            const sql = indexSQL.get(index.name);
+            table.indexes.set(index.name, {
+                unique: index.unique,
+                columns: index.keyColumns,
+                where: index.partial ? partialIndexWhere(sql) : null,
+                expressionSQL: index.keyColumns.includes('(expression)') ? normalizeSQL(sql).replace(/^CREATE (?:UNIQUE )?INDEX .*? ON /i, '') : null,
+                sql
+            });
+        } else if (index.origin === 'u') {
+            // UNIQUE constraints are part of the table definition; primary keys show in the columns
+            table.uniqueConstraints.add(`UNIQUE (${index.columns.join(', ')})`);
+        }
+    }
+
+    const foreignKeys = new Map();
+    for (const row of await query(`SELECT m.name AS table_name, fk.id, fk."table" AS ref_table, fk."from", fk."to", fk.on_update, fk.on_delete ${tablesJoin} pragma_foreign_key_list(m.name) fk ${tablesWhere} ORDER BY m.name, fk.id, fk.seq;`)) {
+        const key = `${row.table_name}\0${row.id}`;
+        if (!foreignKeys.has(key)) {
+            foreignKeys.set(key, { table: row.table_name, refTable: row.ref_table, from: [], to: [], onUpdate: row.on_update, onDelete: row.on_delete });
+        }
+        foreignKeys.get(key).from.push(row.from);
+        foreignKeys.get(key).to.push(row.to);
+    }
+    for (const fk of foreignKeys.values()) {
+        schema.tables.get(fk.table).foreignKeys.add(`(${fk.from.join(', ')}) REFERENCES ${fk.refTable}(${fk.to.join(', ')}) ON UPDATE ${fk.onUpdate} ON DELETE ${fk.onDelete}`);
+    }
+
+    return schema;
+}
+
+// Load schema statements into an in-memory database and read it back
+async function introspectStatements(statements) {
+    const db = new Database(':memory:');
+    try {
+        db.pragma('foreign_keys = OFF');
+        for (const statement of statements) {
+            db.exec(statement);
+        }
+        return await introspectSchema(sql => db.prepare(sql).all());
+    } finally {
+        db.close();
+    }
+}
+
+// Rows of a D1 query as objects
+async function queryD1(sql) {
+    const [{ results }] = await executeD1RawSQL(sql);
+    return results.rows.map(row => Object.fromEntries(results.columns.map((column, i) => [column, row[i]])));
+}
+
+function describeColumnChange(expected, actual) {
+    const parts = [];
+    if (expected.type !== actual.type) parts.push(`type ${actual.type || '(none)'} → ${expected.type || '(none)'}`);
+    if (expected.notNull !== actual.notNull) parts.push(expected.notNull ? 'NOT NULL added' : 'NOT NULL removed');
+    if (normalizeSQL(expected.default) !== normalizeSQL(actual.default)) parts.push(`default ${actual.default ?? '(none)'} → ${expected.default ?? '(none)'}`);
+    if (expected.primaryKey !== actual.primaryKey) parts.push(expected.primaryKey ? 'now part of the primary key' : 'no longer part of the primary key');
+    if (expected.generated !== actual.generated) parts.push(expected.generated ? 'now generated' : 'no longer generated');
+    return parts.join(', ');
+}
+
+function describeIndexChange(expected, actual) {
+    const parts = [];
+    if (expected.unique !== actual.unique) parts.push(expected.unique ? 'now unique' : 'no longer unique');
+    if (expected.columns.join(', ') !== actual.columns.join(', ')) parts.push(`columns (${actual.columns.join(', ')}) → (${expected.columns.join(', ')})`);
+    if (expected.where !== actual.where) parts.push(`WHERE ${actual.where ?? '(none)'} → ${expected.where ?? '(none)'}`);
+    if (expected.expressionSQL !== actual.expressionSQL && parts.length === 0) parts.push(`${actual.expressionSQL} → ${expected.expressionSQL}`);
+    return parts.join(', ');
+}
+
+function compareSets(changes, object, table, expected, actual) {
+    for (const name of expected) {
+        if (!actual.has(name)) changes.push({ object, table, name, change: 'added' });
+    }
+    for (const name of actual) {
+        if (!expected.has(name)) changes.push({ object, table, name, change: 'removed' });
+    }
+}
+
+// Differences that turn the actual schema into the expected one, as
+// { object, table, name, change: 'added' | 'removed' | 'changed', detail }
+function compareSchemas(expected, actual) {
+    const changes = [];
+
+    for (const [name, table] of expected.tables) {
+        const current = actual.tables.get(name);
+        if (!current) {
+            changes.push({ object: 'table', table: name, name, change: 'added' });
+            continue;
+        }
+
+        for (const [column, definition] of table.columns) {
+            const existing = current.columns.get(column);
+            if (!existing) {
+                changes.push({ object: 'column', table: name, name: column, change: 'added' });
+            } else {
+                const detail = describeColumnChange(definition, existing);
+                if (detail) changes.push({ object: 'column', table: name, name: column, change: 'changed', detail });
+            }
+        }
+        for (const column of current.columns.keys()) {
+            if (!table.columns.has(column)) changes.push({ object: 'column', table: name, name: column, change: 'removed' });
+        }
+
+        compareSets(changes, 'foreign key', name, table.foreignKeys, current.foreignKeys);
+        compareSets(changes, 'unique constraint', name, table.uniqueConstraints, current.uniqueConstraints);
+
+        for (const [index, definition] of table.indexes) {
+            const existing = current.indexes.get(index);
+            if (!existing) {
+                changes.push({ object: 'index', table: name, name: index, change: 'added' });
+            } else {
+                const detail = describeIndexChange(definition, existing);
+                if (detail) changes.push({ object: 'index', table: name, name: index, change: 'changed', detail });
+            }
+        }
+        for (const index of current.indexes.keys()) {
+            if (!table.indexes.has(index)) changes.push({ object: 'index', table: name, name: index, change: 'removed' });
+        }
+    }
+    for (const name of actual.tables.keys()) {
+        if (!expected.tables.has(name)) changes.push({ object: 'table', table: name, name, change: 'removed' });
+    }
+
+    for (const object of ['trigger', 'view']) {
+        const key = `${object}s`;
+        for (const [name, { table, sql }] of expected[key]) {
+            const existing = actual[key].get(name);
+            if (!existing) {
+                changes.push({ object, table, name, change: 'added' });
+            } else if (normalizeSQL(sql) !== normalizeSQL(existing.sql)) {
+                changes.push({ object, table, name, change: 'changed' });
+            }
+        }
+        for (const [name, { table }] of actual[key]) {
+            if (!expected[key].has(name)) changes.push({ object, table, name, change: 'removed' });
+        }
+    }
+
+    return changes;
+}
+
+function formatChange({ object, table, name, change, detail }) {
+    const sign = { added: '+', removed: '-', changed: '~' }[change];
+    const subject = ['column', 'index', 'foreign key', 'unique constraint'].includes(object) ? `"${table}" ${object} ${object === 'column' || object === 'index' ? `"${name}"` : name}` : `${object} "${name}"`;
+    return `${sign} ${subject}${detail ? `: ${detail}` : ''}`;
+}
+
+// ALTER TABLE ADD COLUMN can't add key, unique or generated columns, nor NOT NULL
+// columns without a default, nor defaults that aren't constants
+function canAddColumn(column, definition) {
+    if (column.primaryKey || column.generated) return false;
+    if (column.notNull && column.default === null) return false;
+    if (column.default !== null && /^\(|^current_/i.test(column.default)) return false;
+    return !/\b(UNIQUE|REFERENCES)\b/i.test(definition);
+}
+
+const quote = name => `"${name.replace(/"/g, '""')}"`;
+const withSemicolon = sql => `${sql.trim().replace(/;$/, '')};`;
+
+// DDL that turns the actual schema into the expected one. expectedTables is the
+// table list of buildSchemaStatements() (for order and column definitions). Returns
+// { statements, notes }; notes flag statements that may fail on existing data.
+function buildReconcileStatements(changes, expected, actual, expectedTables) {
+    const statements = [];
+    const notes = [];
+    const byTable = change => change.object !== 'trigger' && change.object !== 'view';
+
+    const addedTables = new Set(changes.filter(c => c.object === 'table' && c.change === 'added').map(c => c.name));
+    const removedTables = changes.filter(c => c.object === 'table' && c.change === 'removed').map(c => c.name);
+    const alteredTables = new Map();
+    const rebuiltTables = new Set();
+
+    for (const change of changes.filter(c => byTable(c) && c.object !== 'table' && c.object !== 'index')) {
+        const definition = expectedTables.find(table => table.name === change.table);
+        const column = change.object === 'column' && change.change === 'added' ? expected.tables.get(change.table).columns.get(change.name) : null;
+        if (column && canAddColumn(column, definition.columnDefinitions.get(change.name))) {
+            if (!alteredTables.has(change.table)) alteredTables.set(change.table, []);
+            alteredTables.get(change.table).push(definition.columnDefinitions.get(change.name));
+        } else {
+            rebuiltTables.add(change.table);
+        }
+    }
+    for (const table of rebuiltTables) alteredTables.delete(table);
+    const recreated = table => addedTables.has(table) || rebuiltTables.has(table);
+
+    // Views are dropped before any table is dropped or rebuilt and created again at
+    // the end, once every table they select from is back
+    const changedViews = changes.filter(c => c.object === 'view' && c.change !== 'added').map(c => c.name);
+    const droppedViews = rebuiltTables.size > 0 || removedTables.length > 0 ? [...actual.views.keys()] : changedViews;
+    droppedViews.forEach(view => statements.push(`DROP VIEW IF EXISTS ${quote(view)};`));
+
+    changes.filter(c => c.object === 'trigger' && c.change !== 'added')
+        .forEach(c => statements.push(`DROP TRIGGER IF EXISTS ${quote(c.name)};`));
+    changes.filter(c => c.object === 'index' && c.change !== 'added' && !rebuiltTables.has(c.table))
+        .forEach(c => statements.push(`DROP INDEX IF EXISTS ${quote(c.name)};`));
+
+    // D1 enforces foreign keys and runs a request as one transaction, where
+    // foreign_keys can't change; the checks are deferred to the commit instead
+    if (rebuiltTables.size > 0 || removedTables.length > 0) {
+        statements.push('PRAGMA defer_foreign_keys = ON;');
+    }
+    removedTables.forEach(table => statements.push(`DROP TABLE IF EXISTS ${quote(table)};`));
+
+    for (const { name } of expectedTables) {
+        const table = expected.tables.get(name);
+        if (addedTables.has(name)) {
+            statements.push(withSemicolon(table.sql));
+        } else if (alteredTables.has(name)) {
+            alteredTables.get(name).forEach(definition => statements.push(`ALTER TABLE ${quote(name)} ADD COLUMN ${definition};`));
+        } else if (rebuiltTables.has(name)) {
+            const current = actual.tables.get(name);
+            const rebuildName = `${name}__rebuild`;
+            const copied = [...table.columns].filter(([column, { generated }]) => !generated && current.columns.has(column) && !current.columns.get(column).generated);
+            const columnList = copied.map(([column]) => quote(column)).join(', ');
+
+            for (const [column, { notNull, default: defaultValue, generated }] of table.columns) {
+                if (notNull && defaultValue === null && !generated && !current.columns.has(column)) {
+                    notes.push(`"${name}"."${column}" is new and NOT NULL without a default; copying existing rows fails unless the table is empty`);
+                }
+            }
+            // Dropping the table leaves the rows referencing it as deferred violations,
+            // which only inserting their parent rows again clears. So the rows are set
+            // aside and inserted back, rather than a filled copy renamed into place.
+            if (copied.length === 0) {
+                notes.push(`"${name}" shares no columns with the new definition; its rows are dropped`);
+                statements.push(`DROP TABLE ${quote(name)};`, withSemicolon(table.sql));
+                continue;
+            }
+            statements.push(
+                `CREATE TABLE ${quote(rebuildName)} AS SELECT ${columnList} FROM ${quote(name)};`,
+                `DROP TABLE ${quote(name)};`,
+                withSemicolon(table.sql),
+                `INSERT INTO ${quote(name)} (${columnList}) SELECT ${columnList} FROM ${quote(rebuildName)};`,
+                `DROP TABLE ${quote(rebuildName)};`
+            );
+        }
+    }
+
+    // Indexes and triggers of created and rebuilt tables, and the changed ones
+    for (const [name, table] of expected.tables) {
+        for (const [index, { sql }] of table.indexes) {
+            const changed = changes.some(c => c.object === 'index' && c.table === name && c.name === index);
+            if (recreated(name) || changed) statements.push(withSemicolon(sql));
+        }
+    }
+    for (const [name, { table, sql }] of expected.triggers) {
+        const changed = changes.some(c => c.object === 'trigger' && c.name === name && c.change !== 'removed');
+        if (recreated(table) || changed) statements.push(withSemicolon(sql));
+    }
+    for (const [name, { sql }] of expected.views) {
+        const changed = changes.some(c => c.object === 'view' && c.name === name && c.change === 'added');
+        if (droppedViews.includes(name) || changed) statements.push(withSemicolon(sql));
+    }
+
+    return { statements, notes };
+}
+
+// Schema generateSQLFile() would create, read from MySQL: the statements from
+// buildSchemaStatements() plus their introspection
+async function readExpectedSchema(config) {
+    if (!process.env.MYSQL_URL) {
+        throw new Error('Missing environment variable: MYSQL_URL');
+    }
+    const migrator = new MySQLToSQLiteMigrator(parseMySQLUrl(process.env.MYSQL_URL), { config, ...migratorOptionsFromEnv() });
+    try {
+        await migrator.connectToMySQL();
+        const statements = await migrator.buildSchemaStatements();
+        const schema = await introspectStatements([...statements.tables.map(table => table.sql), ...statements.indexes, ...statements.triggers, ...statements.views]);
+        return { statements, schema };
+    } finally {
+        await migrator.disconnect();
+    }
+}
+
+// Compare D1 with MySQL, print the differences and the DDL that reconciles them,
+// and write that DDL to ddlOutput when given (printed instead on a dry run).
+// Returns { changes, statements, notes }.
+async function diffD1Schema(config, { ddlOutput = null, dryRun = false } = {}) {
+    requireD1Env();
+    console.log('🔍 Reading the schema MySQL would produce...');
+    const { statements: expectedStatements, schema: expected } = await readExpectedSchema(config);
+    console.log(`🔍 Reading the D1 schema of ${process.env.D1_DATABASE_ID}...`);
+    const actual = await introspectSchema(queryD1);
+
+    const changes = compareSchemas(expected, actual);
+    if (changes.length === 0) {
+        console.log('✅ D1 schema matches MySQL');
+        return { changes, statements: [], notes: [] };
+    }
+
+    console.log(`\n📋 ${changes.length} differences (+ only in MySQL, - only in D1, ~ changed):`);
+    changes.forEach(change => console.log(`   ${formatChange(change)}`));
+
+    const { statements, notes } = buildReconcileStatements(changes, expected, actual, expectedStatements.tables);
+    notes.forEach(note => console.warn(`⚠️ ${note}`));
+
+    const ddl = [
+        `-- Reconcile D1 database ${process.env.D1_DATABASE_ID} with MySQL`,
+        `-- Generated on: ${new Date().toISOString()}`,
+        ...notes.map(note => `-- WARNING: ${note}`),
+        ...statements
+    ].join('\n') + '\n';
+    if (ddlOutput && !dryRun) {
+        fs.writeFileSync(ddlOutput, ddl);
+        console.log(`\n📝 Wrote ${statements.length} reconciling statements to ${ddlOutput}`);
+    } else if (ddlOutput) {
+        console.log(`\n📝 Dry run: would write ${statements.length} reconciling statements to ${ddlOutput}:\n\n${ddl}`);
+    } else {
+        console.log(`\n📝 DDL to reconcile D1 with MySQL:\n\n${ddl}`);
+    }
+
+    return { changes, statements, notes };
+}
+
+async function main() {
+    try {
+        const outputIndex = process.argv.indexOf('--ddl-output');
+        const ddlOutput = outputIndex > -1 ? process.argv[outputIndex + 1] : null;
+        const { changes } = await diffD1Schema(loadMigrationConfig(), { ddlOutput, dryRun: process.argv.includes('--dry-run') });
+        process.exitCode = changes.length > 0 ? 3 : 0;
+    } catch (error) {
+        console.error('💥 Schema diff failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = {
+    diffD1Schema,
+    readExpectedSchema,
+    introspectSchema,
+    introspectStatements,
+    compareSchemas,
+    buildReconcileStatements,
+    formatChange
+};
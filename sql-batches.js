@@ -0,0 +1,32 @@
+// Groups SQL statements into the batches sent to D1 as single requests, shared by
+// push, the upload API and incremental syncs.
+
+// Batch statements for D1 API limits, capped by statement count and request size
+// so that multi-row INSERTs don't produce oversized requests. Each batch is an
+// array of statements.
+function createBatches(statements, batchSize = 200, maxBytes = 1000000) {
+    const batches = [];
+    let batch = [];
+    let batchBytes = 0;
+
+    for (const statement of statements) {
+        const statementBytes = Buffer.byteLength(statement, 'utf8') + 1;
+
+        if (batch.length > 0 && (batch.length >= batchSize || batchBytes + statementBytes > maxBytes)) {
+            batches.push(batch);
+            batch = [];
+            batchBytes = 0;
+        }
+
+        batch.push(statement);
+        batchBytes += statementBytes;
+    }
+
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+
+    return batches;
+}
+
+module.exports = { createBatches };
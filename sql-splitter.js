@@ -0,0 +1,127 @@
+// Splits a SQL script into statements with a small tokenizer, so a ';' only ends a
+// statement when it is outside string literals, quoted identifiers, comments and
+// trigger bodies. Comments are '--', '/* */' and MySQL-style '#' lines, where '#' is
+// the first character on its line. Statements are returned byte for byte as written,
+// from their first token up to and including the terminating ';'; comments and
+// whitespace between statements are dropped.
+
+const WORD = /[A-Za-z_][\w$]*/y;
+const WHITESPACE = /\s+/y;
+// Runs of characters that can't start a word, quote, comment or ';' (numbers, operators)
+const OTHER = /[^\s;'"`[A-Za-z_\-/#]+/y;
+const CLOSING_QUOTE = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+// End offset (exclusive) of the quoted token starting at start. SQLite escapes a
+// quote inside a literal by doubling it; [identifiers] can't contain ']'.
+function skipQuoted(sql, start) {
+    const close = CLOSING_QUOTE[sql[start]];
+    let i = start + 1;
+    while (i < sql.length) {
+        if (sql[i] === close) {
+            if (close !== ']' && sql[i + 1] === close) {
+                i += 2;
+                continue;
+            }
+            return i + 1;
+        }
+        i++;
+    }
+    return sql.length;
+}
+
+// Tokens that matter for splitting: { type: 'word' | 'semicolon' | 'other', start, end },
+// with comments and whitespace skipped. Unterminated quotes and comments run to the end.
+function* tokenize(sql) {
+    let i = 0;
+    const match = (pattern) => {
+        pattern.lastIndex = i;
+        const found = pattern.exec(sql);
+        return found ? found[0].length : 0;
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const whitespace = match(WHITESPACE);
+        if (whitespace > 0) {
+            i += whitespace;
+            continue;
+        }
+        if (char === '-' && sql[i + 1] === '-') {
+            const newline = sql.indexOf('\n', i);
+            i = newline === -1 ? sql.length : newline + 1;
+            continue;
+        }
+        if (char === '#' && /^[ \t]*$/.test(sql.slice(sql.lastIndexOf('\n', i - 1) + 1, i))) {
+            const newline = sql.indexOf('\n', i);
+            i = newline === -1 ? sql.length : newline + 1;
+            continue;
+        }
+        if (char === '/' && sql[i + 1] === '*') {
+            const close = sql.indexOf('*/', i + 2);
+            i = close === -1 ? sql.length : close + 2;
+            continue;
+        }
+        if (char === ';') {
+            yield { type: 'semicolon', start: i, end: i + 1 };
+            i++;
+            continue;
+        }
+
+        const word = match(WORD);
+        const end = CLOSING_QUOTE[char] ? skipQuoted(sql, i) : i + (word || Math.max(1, match(OTHER)));
+        yield { type: word ? 'word' : 'other', start: i, end };
+        i = end;
+    }
+}
+
+// Split sql into statements. A CREATE TRIGGER statement runs to the ';' after the
+// END that closes its BEGIN; CASE ... END expressions inside the body are counted so
+// their END doesn't close it early.
+function splitSQLStatements(sql) {
+    const statements = [];
+    let start = null;
+    let end = null;
+    let words = [];
+    let trigger = { body: false, closed: false, caseDepth: 0 };
+
+    for (const token of tokenize(sql)) {
+        if (token.type === 'semicolon') {
+            if (start !== null && (!trigger.body || trigger.closed)) {
+                statements.push(sql.slice(start, token.end));
+                start = null;
+                words = [];
+                trigger = { body: false, closed: false, caseDepth: 0 };
+            }
+            continue;
+        }
+
+        if (start === null) start = token.start;
+        end = token.end;
+        if (token.type !== 'word') continue;
+
+        const word = sql.slice(token.start, token.end).toUpperCase();
+        if (words.length < 3) words.push(word);
+        const isTrigger = words[0] === 'CREATE' && (words[1] === 'TRIGGER' || (/^TEMP(ORARY)?$/.test(words[1]) && words[2] === 'TRIGGER'));
+        if (!isTrigger || trigger.closed) continue;
+
+        if (!trigger.body) {
+            if (word === 'BEGIN') trigger.body = true;
+        } else if (word === 'CASE') {
+            trigger.caseDepth++;
+        } else if (word === 'END') {
+            if (trigger.caseDepth > 0) {
+                trigger.caseDepth--;
+            } else {
+                trigger.closed = true;
+            }
+        }
+    }
+
+    // A last statement without a terminating ';'
+    if (start !== null) {
+        statements.push(sql.slice(start, end));
+    }
+    return statements;
+}
+
+module.exports = { splitSQLStatements };
@@ -0,0 +1,132 @@
+// Foreign key dependency graph between tables: topological ordering so that
+// referenced tables are created and filled first, plus cycle detection.
+
+// Edges from each table to the tables it references. Self references and
+// references to tables outside the migration don't constrain the order.
+function buildDependencyGraph(tableNames, foreignKeysByTable) {
+    const known = new Set(tableNames);
+    const graph = new Map();
+
+    for (const tableName of tableNames) {
+        const edges = [];
+        for (const fk of foreignKeysByTable.get(tableName) || []) {
+            if (fk.refTable !== tableName && known.has(fk.refTable)) {
+                edges.push({ table: fk.refTable, foreignKey: fk });
+            }
+        }
+        graph.set(tableName, edges);
+    }
+
+    return graph;
+}
+
+// Strongly connected components (Tarjan). Components with more than one table are cycles.
+function findStronglyConnectedComponents(tableNames, graph) {
+    let nextIndex = 0;
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    const visit = (tableName) => {
+        index.set(tableName, nextIndex);
+        lowLink.set(tableName, nextIndex);
+        nextIndex++;
+        stack.push(tableName);
+        onStack.add(tableName);
+
+        for (const edge of graph.get(tableName)) {
+            if (!index.has(edge.table)) {
+                visit(edge.table);
+                lowLink.set(tableName, Math.min(lowLink.get(tableName), lowLink.get(edge.table)));
+            } else if (onStack.has(edge.table)) {
+                lowLink.set(tableName, Math.min(lowLink.get(tableName), index.get(edge.table)));
+            }
+        }
+
+        if (lowLink.get(tableName) === index.get(tableName)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== tableName);
+            components.push(component);
+        }
+    };
+
+    for (const tableName of tableNames) {
+        if (!index.has(tableName)) visit(tableName);
+    }
+
+    return components;
+}
+
+// Order tables so every table follows the tables it references, keeping the
+// original order where the graph allows it. When only cycles remain, the table
+// with the fewest unresolved references inside its cycle is placed next and
+// those references are returned as cycle-breaking foreign keys.
+//
+// Returns { order, cycles, cycleForeignKeys } where cycles lists the tables and
+// constraints of each cycle and cycleForeignKeys maps a table name to the set
+// of its constraint names that point "forward" in the order.
+function orderTablesByDependencies(tableNames, foreignKeysByTable) {
+    const graph = buildDependencyGraph(tableNames, foreignKeysByTable);
+
+    const componentOf = new Map();
+    const cycles = [];
+    for (const component of findStronglyConnectedComponents(tableNames, graph)) {
+        const members = tableNames.filter(name => component.includes(name));
+        members.forEach(name => componentOf.set(name, members));
+
+        if (members.length > 1) {
+            const foreignKeys = [];
+            for (const name of members) {
+                for (const edge of graph.get(name)) {
+                    if (members.includes(edge.table)) {
+                        foreignKeys.push({ table: name, name: edge.foreignKey.name, refTable: edge.table });
+                    }
+                }
+            }
+            cycles.push({ tables: members, foreignKeys });
+        }
+    }
+
+    const order = [];
+    const placed = new Set();
+    const cycleForeignKeys = new Map();
+    const unresolved = (tableName) => graph.get(tableName).filter(edge => !placed.has(edge.table));
+
+    while (order.length < tableNames.length) {
+        const remaining = tableNames.filter(name => !placed.has(name));
+        let next = remaining.find(name => unresolved(name).length === 0);
+
+        if (!next) {
+            // Every remaining table waits on something: break the cycle at a table
+            // whose unresolved references all stay within its own cycle
+            const candidates = remaining.filter(name =>
+                unresolved(name).every(edge => componentOf.get(name).includes(edge.table))
+            );
+            next = candidates.reduce((best, name) =>
+                unresolved(name).length < unresolved(best).length ? name : best
+            );
+            cycleForeignKeys.set(next, new Set(unresolved(next).map(edge => edge.foreignKey.name)));
+        }
+
+        order.push(next);
+        placed.add(next);
+    }
+
+    return { order, cycles, cycleForeignKeys };
+}
+
+// Human readable description of a cycle, e.g.
+// tables "a", "b" reference each other: "a" -> "b" (fk_a_b), "b" -> "a" (fk_b_a)
+function describeCycle(cycle) {
+    const links = cycle.foreignKeys.map(fk => `"${fk.table}" -> "${fk.refTable}" (${fk.name})`);
+    return `tables ${cycle.tables.map(name => `"${name}"`).join(', ')} reference each other: ${links.join(', ')}`;
+}
+
+module.exports = { orderTablesByDependencies, findStronglyConnectedComponents, buildDependencyGraph, describeCycle };
@@ -1,7 +1,8 @@
 require('dotenv').config();
 const CloudflareD1API = require('./cloudflare-d1-api');
 
-async function testD1Connection() {
+// With readOnly only the database info is fetched; nothing is created in D1
+async function testD1Connection({ readOnly = false } = {}) {
     console.log('Testing Cloudflare D1 API connection...\n');
 
     // Validate environment variables
@@ -34,6 +35,11 @@ async function testD1Connection() {
         console.log(`   Version: ${dbInfo.result.version || 'N/A'}`);
         console.log(`   Created: ${dbInfo.result.created_at || 'N/A'}\n`);
 
+        if (readOnly) {
+            console.log('🎉 D1 API connection works (read-only check, no test table created).');
+            return;
+        }
+
         // Test 2: Clean up any existing test data first
         console.log('2. Cleaning up any existing test data...');
         const cleanupResult = await d1Client.executeQuery('DROP TABLE IF EXISTS test_migration');
@@ -146,13 +152,16 @@ async function testD1Connection() {
             console.error('   Response data:', JSON.stringify(error.response.data, null, 2));
         }
         
-        process.exit(1);
+        throw error;
     }
 }
 
 // Run tests
 if (require.main === module) {
-    testD1Connection().catch(console.error);
+    testD1Connection().catch(error => {
+        console.error('💥 D1 connection test failed:', error.message);
+        process.exit(1);
+    });
 }
 
 module.exports = { testD1Connection };
\ No newline at end of file
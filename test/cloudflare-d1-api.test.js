@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeD1, useFakeD1Env } = require('./fake-d1');
+const CloudflareD1API = require('../cloudflare-d1-api');
+
+useFakeD1Env();
+
+function writeSQLFile(t, sql) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-upload-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'upload.sql');
+    fs.writeFileSync(file, sql);
+    return file;
+}
+
+const rowsSQL = ids => ids.map(id => `INSERT INTO "items" ("id") VALUES (${id});`).join('\n');
+const CREATE = 'CREATE TABLE "items" ("id" INTEGER PRIMARY KEY);\n';
+const ids = db => db.prepare('SELECT "id" FROM "items" ORDER BY "id"').pluck().all();
+const api = () => new CloudflareD1API('account', 'token', 'database');
+
+test('uploadSQLFile splits a rejected batch and runs the statements around the failure', async (t) => {
+    const d1 = createFakeD1({ failOn: statement => statement.includes('VALUES (3)') });
+    t.after(() => d1.restore());
+    const file = writeSQLFile(t, CREATE + rowsSQL([1, 2, 3, 4]));
+
+    const results = await api().uploadSQLFile(file, { batchSize: 4, stopOnError: false });
+
+    assert.deepStrictEqual(ids(d1.db), [1, 2, 4]);
+    assert.deepStrictEqual({ successful: results.successful, failed: results.failed }, { successful: 4, failed: 1 });
+    assert.strictEqual(results.errors[0].index, 3);
+});
+
+test('uploadSQLFile does not split a batch that D1 partly applied', async (t) => {
+    const d1 = createFakeD1({ failOn: statement => statement.includes('VALUES (3)'), partial: true });
+    t.after(() => d1.restore());
+    const file = writeSQLFile(t, CREATE + rowsSQL([1, 2, 3, 4]));
+
+    const results = await api().uploadSQLFile(file, { batchSize: 4, stopOnError: false });
+
+    assert.deepStrictEqual(ids(d1.db), [1, 2]);
+    assert.deepStrictEqual({ successful: results.successful, failed: results.failed }, { successful: 1, failed: 4 });
+    assert.match(results.errors[0].error, /"items" has 2 rows in D1, the checkpoint expects 0/);
+});
+
+test('with stopOnError, batches already sent by other workers still finish after a failure', async (t) => {
+    const d1 = createFakeD1({ failOn: statement => statement.includes('VALUES (1)') });
+    t.after(() => d1.restore());
+    const file = writeSQLFile(t, CREATE + rowsSQL([1, 2, 3, 4]));
+
+    const error = await api().uploadSQLFile(file, { batchSize: 1, concurrency: 2 }).catch(rejection => rejection);
+
+    assert.match(error.message, /^Statement 2 failed/);
+    // Batch 2 was already in flight; batches 3 and 4 never started
+    assert.deepStrictEqual(ids(d1.db), [2]);
+    assert.deepStrictEqual(error.results, {
+        successful: 2,
+        failed: 1,
+        skipped: 0,
+        total: 5,
+        errors: [{ batch: 2, index: 1, statement: 'INSERT INTO "items" ("id") VALUES (1);', error: error.results.errors[0].error }]
+    });
+});
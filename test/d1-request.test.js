@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { D1Error, d1Request, requestWithRetry } = require('../d1-request');
+
+// Make axios.request answer with the given outcomes in turn: a response object, or
+// an error to throw. Returns the times the requests were made at.
+function stubResponses(t, outcomes) {
+    const calls = [];
+    t.mock.method(axios, 'request', async () => {
+        calls.push(Date.now());
+        const outcome = outcomes[calls.length - 1];
+        if (outcome instanceof Error) throw outcome;
+        return outcome;
+    });
+    return calls;
+}
+
+function httpError(status, { headers = {}, code = 7500, message = 'failed' } = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data: { success: false, errors: [{ code, message }] } };
+    return error;
+}
+
+function networkError(code) {
+    const error = new Error(`socket hang up`);
+    error.code = code;
+    return error;
+}
+
+const OK = { status: 200, headers: {}, data: { success: true, result: [] } };
+
+test.beforeEach(() => {
+    process.env.D1_MAX_ATTEMPTS = '3';
+});
+
+test.after(() => {
+    delete process.env.D1_MAX_ATTEMPTS;
+});
+
+test('a throttled request waits as long as Retry-After asks before trying again', async (t) => {
+    const calls = stubResponses(t, [httpError(429, { headers: { 'retry-after': '0.3' }, code: 10000 }), OK]);
+
+    const response = await requestWithRetry({ url: 'https://example.invalid' });
+
+    assert.strictEqual(response, OK);
+    assert.strictEqual(calls.length, 2);
+    assert.ok(calls[1] - calls[0] >= 290, `retried after ${calls[1] - calls[0]}ms`);
+});
+
+test('server errors and dropped connections are retried with backoff until the attempts run out', async (t) => {
+    const calls = stubResponses(t, [httpError(503), networkError('ECONNRESET'), networkError('ECONNRESET')]);
+
+    await assert.rejects(requestWithRetry({ url: 'https://example.invalid' }, { statement: 'SELECT 1;' }), error => {
+        assert.ok(error instanceof D1Error);
+        assert.deepStrictEqual({ status: error.status, code: error.code, attempts: error.attempts, statement: error.statement },
+            { status: null, code: null, attempts: 3, statement: 'SELECT 1;' });
+        assert.match(error.message, /ECONNRESET/);
+        return true;
+    });
+    assert.strictEqual(calls.length, 3);
+    // Backoff of the first attempt is 250-500ms
+    assert.ok(calls[1] - calls[0] >= 240, `retried after ${calls[1] - calls[0]}ms`);
+});
+
+test('a rejected statement is not retried and keeps the Cloudflare error code', async (t) => {
+    const calls = stubResponses(t, [httpError(400, { code: 7500, message: 'no such table: missing' })]);
+
+    await assert.rejects(d1Request('POST', '/raw', { sql: 'SELECT * FROM missing;' }, { statement: 'SELECT * FROM missing;' }), error => {
+        assert.deepStrictEqual({ status: error.status, code: error.code, attempts: error.attempts }, { status: 400, code: 7500, attempts: 1 });
+        assert.strictEqual(error.message, 'D1 request failed (HTTP 400, code 7500): no such table: missing');
+        return true;
+    });
+    assert.strictEqual(calls.length, 1);
+});
+
+test('a response with success: false fails even with HTTP 200', async (t) => {
+    stubResponses(t, [{ status: 200, headers: {}, data: { success: false, errors: [{ code: 7400, message: 'bad request' }] } }]);
+
+    await assert.rejects(d1Request('POST', '/raw', { sql: 'SELECT 1;' }), /D1 request failed \(HTTP 200, code 7400\): bad request/);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ValueMasker, maskingProblem } = require('../data-masking');
+
+test('masked values are keyed HMACs: stable for one secret, different for another', () => {
+    const masker = new ValueMasker('staging-secret');
+    const hmac = crypto.createHmac('sha256', 'staging-secret').update('ada@example.org', 'utf8').digest('hex');
+
+    assert.strictEqual(masker.mask('hash', 'ada@example.org'), hmac);
+    assert.strictEqual(masker.mask('fake-email', 'ada@example.org'), `user_${hmac.slice(0, 12)}@example.com`);
+    assert.strictEqual(masker.mask('keep-domain', 'ada@example.org'), `user_${hmac.slice(0, 12)}@example.org`);
+    assert.strictEqual(masker.mask('pseudonym', 'ada@example.org'), `anon_${hmac.slice(0, 16)}`);
+    assert.notStrictEqual(new ValueMasker('other-secret').mask('hash', 'ada@example.org'), hmac);
+});
+
+test('integer pseudonyms stay exact integers and join across tables', () => {
+    const masker = new ValueMasker('staging-secret');
+    const customerId = masker.mask('pseudonym', 42, 'integer');
+    const orderCustomerId = masker.mask('pseudonym', '42', 'integer');
+
+    assert.strictEqual(customerId, orderCustomerId);
+    assert.match(customerId, /^\d+$/);
+    assert.ok(BigInt(customerId) <= BigInt(Number.MAX_SAFE_INTEGER));
+    assert.notStrictEqual(customerId, masker.mask('pseudonym', 43, 'integer'));
+});
+
+test('NULL stays NULL and strategies are checked against the column type', () => {
+    const masker = new ValueMasker('staging-secret');
+    assert.strictEqual(masker.mask('hash', null), null);
+    assert.strictEqual(masker.mask('null', 'ada@example.org'), null);
+
+    assert.strictEqual(maskingProblem('fake-email', 'varchar(255)'), null);
+    assert.strictEqual(maskingProblem('pseudonym', 'bigint unsigned'), null);
+    assert.strictEqual(maskingProblem('null', 'blob'), null);
+    assert.match(maskingProblem('hash', 'int'), /hash can't mask int columns \(use pseudonym or null\)/);
+    assert.match(maskingProblem('hash', 'datetime'), /datetime columns can only be masked with null/);
+});
@@ -0,0 +1,77 @@
+// In-memory stand-in for the D1 REST API, backed by better-sqlite3 with foreign keys
+// enforced, as on D1. It replaces axios.request, which every D1 call goes through,
+// and runs the SQL of a /raw or /query request as one transaction.
+const axios = require('axios');
+const Database = require('better-sqlite3');
+const { splitSQLStatements } = require('../sql-splitter');
+
+function rejection(message) {
+    const error = new Error(`Request failed with status code 400`);
+    error.response = { status: 400, headers: {}, data: { success: false, errors: [{ code: 7500, message }] } };
+    return error;
+}
+
+// Options:
+// - failOn(statement): return true to make D1 reject the request at that statement
+// - partial: apply the statements before the failing one instead of rolling back,
+//   like a request D1 did not run as one transaction
+function createFakeD1({ failOn = () => false, partial = false } = {}) {
+    const db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    const requests = [];
+    const originalRequest = axios.request;
+
+    function run(sql, endpoint) {
+        const results = [];
+        db.exec('BEGIN');
+        try {
+            for (const statement of splitSQLStatements(sql)) {
+                if (failOn(statement)) throw new Error(`simulated failure: ${statement.slice(0, 60)}`);
+                const prepared = db.prepare(statement);
+                if (prepared.reader) {
+                    const rows = endpoint === '/raw' ? prepared.raw().all() : prepared.all();
+                    const columns = prepared.columns().map(column => column.name);
+                    results.push(endpoint === '/raw'
+                        ? { results: { columns, rows }, meta: { changes: 0 }, success: true }
+                        : { results: rows, meta: { changes: 0 }, success: true });
+                } else {
+                    const { changes } = prepared.run();
+                    results.push({ results: endpoint === '/raw' ? { columns: [], rows: [] } : [], meta: { changes }, success: true });
+                }
+            }
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec(partial ? 'COMMIT' : 'ROLLBACK');
+            throw rejection(error.message);
+        }
+        return results;
+    }
+
+    axios.request = async (config) => {
+        const endpoint = config.url.slice(config.url.lastIndexOf('/'));
+        requests.push({ endpoint, sql: config.data && config.data.sql });
+        if (endpoint !== '/raw' && endpoint !== '/query') {
+            throw rejection(`unsupported endpoint ${endpoint}`);
+        }
+        return { status: 200, headers: {}, data: { success: true, result: run(config.data.sql, endpoint) } };
+    };
+
+    return {
+        db,
+        requests,
+        restore() {
+            axios.request = originalRequest;
+            db.close();
+        }
+    };
+}
+
+function useFakeD1Env() {
+    process.env.CLOUDFLARE_ACCOUNT_ID = 'account';
+    process.env.D1_DATABASE_ID = 'database';
+    process.env.CLOUDFLARE_API_TOKEN = 'token';
+    process.env.D1_MAX_ATTEMPTS = '1';
+    delete process.env.MYSQL_URL;
+}
+
+module.exports = { createFakeD1, useFakeD1Env };
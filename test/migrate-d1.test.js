@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeD1, useFakeD1Env } = require('./fake-d1');
+const { migrateSQLiteToD1 } = require('../migrate-d1');
+const { loadMigrationConfig } = require('../migration-config');
+
+useFakeD1Env();
+
+function writeMigration(t, sql) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-push-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const config = loadMigrationConfig(dir, {});
+    config.output.sqlFile = path.join(dir, 'migration.sql');
+    fs.writeFileSync(config.output.sqlFile, sql);
+    return config;
+}
+
+const SCHEMA = `PRAGMA foreign_keys = OFF;
+CREATE TABLE IF NOT EXISTS "authors" ("id" INTEGER PRIMARY KEY, "name" TEXT);
+CREATE TABLE IF NOT EXISTS "books" ("id" INTEGER PRIMARY KEY, "author_id" INTEGER REFERENCES "authors" ("id"));
+`;
+
+test('push cleans tables that are still referenced and defers foreign keys in every request', async (t) => {
+    const d1 = createFakeD1();
+    t.after(() => d1.restore());
+    d1.db.exec(`CREATE TABLE "old_parent" (id INTEGER PRIMARY KEY);
+        CREATE TABLE "old_child" (id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES "old_parent" (id));
+        INSERT INTO "old_parent" VALUES (1);
+        INSERT INTO "old_child" VALUES (1, 1);`);
+
+    const config = writeMigration(t, `${SCHEMA}INSERT INTO "authors" ("id", "name") VALUES (1, 'Ann');
+INSERT INTO "books" ("id", "author_id") VALUES (1, 1);
+CREATE INDEX "books_author" ON "books" ("author_id");
+`);
+    await migrateSQLiteToD1(config);
+
+    const tables = d1.db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name`).pluck().all();
+    assert.deepStrictEqual(tables, ['authors', 'books']);
+    assert.strictEqual(d1.db.prepare('SELECT COUNT(*) FROM "books"').pluck().get(), 1);
+
+    const writes = d1.requests.filter(request => !/^\s*SELECT/i.test(request.sql));
+    assert.ok(writes.length > 0);
+    for (const request of writes) {
+        assert.match(request.sql, /^PRAGMA defer_foreign_keys = ON;/);
+        assert.doesNotMatch(request.sql, /PRAGMA foreign_keys/);
+    }
+});
+
+test('push refuses a file that defers a foreign key cycle to the end of the load', async (t) => {
+    const d1 = createFakeD1();
+    t.after(() => d1.restore());
+    const config = writeMigration(t, `CREATE TABLE IF NOT EXISTS "a" ("id" INTEGER PRIMARY KEY, "b_id" INTEGER REFERENCES "b" ("id") DEFERRABLE INITIALLY DEFERRED);
+CREATE TABLE IF NOT EXISTS "b" ("id" INTEGER PRIMARY KEY, "a_id" INTEGER REFERENCES "a" ("id"));
+`);
+
+    await assert.rejects(migrateSQLiteToD1(config), /MIGRATE_FK_CYCLE_STRATEGY=rebuild/);
+    assert.strictEqual(d1.requests.length, 0);
+});
+
+const FOUR_ROWS = `${SCHEMA}INSERT INTO "authors" ("id", "name") VALUES (1, 'Ann');
+INSERT INTO "authors" ("id", "name") VALUES (2, 'Bob');
+INSERT INTO "authors" ("id", "name") VALUES (3, 'Cy');
+INSERT INTO "authors" ("id", "name") VALUES (4, 'Di');
+`;
+
+function readCheckpoint(config) {
+    return JSON.parse(fs.readFileSync(`${config.output.sqlFile}.checkpoint.json`, 'utf8'));
+}
+
+test('push splits a rejected batch until the failing statement is found', async (t) => {
+    const d1 = createFakeD1({ failOn: statement => statement.includes("'Cy'") });
+    t.after(() => d1.restore());
+    const config = writeMigration(t, FOUR_ROWS);
+
+    await assert.rejects(migrateSQLiteToD1(config), error => error.statement.includes("'Cy'"));
+
+    assert.strictEqual(d1.db.prepare('SELECT COUNT(*) FROM "authors"').pluck().get(), 2);
+    const checkpoint = readCheckpoint(config);
+    assert.strictEqual(checkpoint.appliedStatements, 4);
+    assert.deepStrictEqual(checkpoint.tables, { authors: 2, books: 0 });
+});
+
+test('push does not split a batch that D1 partly applied', async (t) => {
+    const d1 = createFakeD1({ failOn: statement => statement.includes("'Cy'"), partial: true });
+    t.after(() => d1.restore());
+    const config = writeMigration(t, FOUR_ROWS);
+
+    await assert.rejects(migrateSQLiteToD1(config), /can't be retried in smaller batches[\s\S]*"authors" has 2 rows in D1, the checkpoint expects 0/);
+
+    assert.deepStrictEqual(d1.db.prepare('SELECT "id" FROM "authors" ORDER BY "id"').pluck().all(), [1, 2]);
+    const checkpoint = readCheckpoint(config);
+    assert.strictEqual(checkpoint.appliedStatements, 2);
+    assert.deepStrictEqual(checkpoint.tables, { authors: 0, books: 0 });
+});
@@ -0,0 +1,584 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createFakeD1, useFakeD1Env } = require('./fake-d1');
+const { MySQLToSQLiteMigrator } = require('../mysql-to-sqlite');
+const { migrateSQLiteToD1 } = require('../migrate-d1');
+const { loadMigrationConfig } = require('../migration-config');
+
+function createMigrator(options = {}) {
+    return new MySQLToSQLiteMigrator({ database: 'shop' }, { config: loadMigrationConfig(__dirname, {}), ...options });
+}
+
+function column(Field, Type, extra = {}) {
+    return { Field, Type, Null: 'YES', Key: '', Default: null, Extra: '', ...extra };
+}
+
+test('the ON UPDATE trigger refreshes the timestamp only when another column changed', () => {
+    const migrator = createMigrator();
+    const tableInfo = {
+        columns: [
+            column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+            column('title', 'varchar(50)'),
+            column('updated_at', 'timestamp', { Extra: 'DEFAULT_GENERATED on update CURRENT_TIMESTAMP' })
+        ],
+        primaryKey: ['id'],
+        foreignKeys: [],
+        indexes: []
+    };
+    const db = new Database(':memory:');
+    db.exec(migrator.buildCreateTableSQL('posts', tableInfo));
+    db.exec(migrator.buildOnUpdateTrigger('posts', tableInfo));
+    db.exec(`INSERT INTO "posts" VALUES (1, 'a', '2000-01-01 00:00:00'), (2, 'b', '2000-01-01 00:00:00'), (3, 'c', '2000-01-01 00:00:00')`);
+    const updatedAt = id => db.prepare('SELECT "updated_at" FROM "posts" WHERE "id" = ?').pluck().get(id);
+
+    db.exec(`UPDATE "posts" SET "title" = 'a2' WHERE "id" = 1`);
+    assert.notStrictEqual(updatedAt(1), '2000-01-01 00:00:00');
+
+    db.exec(`UPDATE "posts" SET "title" = 'b' WHERE "id" = 2`);
+    assert.strictEqual(updatedAt(2), '2000-01-01 00:00:00');
+
+    db.exec(`UPDATE "posts" SET "title" = 'c2', "updated_at" = '2010-05-05 10:00:00' WHERE "id" = 3`);
+    assert.strictEqual(updatedAt(3), '2010-05-05 10:00:00');
+    db.exec(`UPDATE "posts" SET "updated_at" = '2011-06-06 11:00:00' WHERE "id" = 3`);
+    assert.strictEqual(updatedAt(3), '2011-06-06 11:00:00');
+});
+
+// Serve tables from a stubbed MySQL: { name: { columns, rows, ...other table info } }
+function stubSchema(migrator, tables, views = []) {
+    migrator.getTableNames = async () => Object.keys(tables);
+    migrator.readTableInfo = async name => {
+        const { rows, ...info } = tables[name];
+        return { primaryKey: ['id'], foreignKeys: [], indexes: [], manualReview: [], ...info };
+    };
+    migrator.readTableRows = async function* (name) {
+        yield tables[name].rows;
+    };
+    migrator.getViews = async () => views;
+}
+
+// A MySQL connection whose queries are answered by query(sql, params) -> rows
+function stubConnection(migrator, query) {
+    migrator.mysqlConnection = {
+        escapeId: name => `\`${name}\``,
+        execute: async (sql, params) => [await query(sql, params)]
+    };
+}
+
+// Two tables that reference each other, read from a stubbed MySQL
+function stubCycleSchema(migrator) {
+    const foreignKey = (name, columns, refTable) => ({ name, columns, refTable, refColumns: ['id'], onDelete: 'NO ACTION', onUpdate: 'NO ACTION' });
+    const tables = {
+        authors: {
+            columns: [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('favorite_book_id', 'int')],
+            foreignKeys: [foreignKey('authors_favorite_book', ['favorite_book_id'], 'books')],
+            rows: [{ id: 1, favorite_book_id: 10 }, { id: 2, favorite_book_id: 20 }]
+        },
+        books: {
+            columns: [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('author_id', 'int')],
+            foreignKeys: [foreignKey('books_author', ['author_id'], 'authors')],
+            rows: [{ id: 10, author_id: 1 }, { id: 20, author_id: 2 }]
+        }
+    };
+    stubSchema(migrator, tables);
+}
+
+function foreignKeyCount(db) {
+    return db.prepare(`SELECT COUNT(*) FROM sqlite_master m JOIN pragma_foreign_key_list(m.name) WHERE m.type = 'table'`).pluck().get();
+}
+
+test('wrangler migration files close a foreign key cycle inside transactions with foreign keys on', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-migrations-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator();
+    stubCycleSchema(migrator);
+
+    const files = await migrator.generateMigrationFiles(dir);
+    assert.match(fs.readFileSync(path.join(dir, files[files.length - 1]), 'utf8'), /^PRAGMA defer_foreign_keys = ON;/);
+
+    // The way wrangler applies them on D1
+    const db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    for (const file of files) {
+        db.exec('BEGIN');
+        db.exec(fs.readFileSync(path.join(dir, file), 'utf8'));
+        db.exec('COMMIT');
+    }
+
+    assert.strictEqual(foreignKeyCount(db), 2);
+    assert.deepStrictEqual(db.prepare('SELECT * FROM "authors" ORDER BY "id"').all(), [{ id: 1, favorite_book_id: 10 }, { id: 2, favorite_book_id: 20 }]);
+    assert.deepStrictEqual(db.pragma('foreign_key_check'), []);
+});
+
+test('push closes a foreign key cycle with a rebuild in a single request', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-push-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator({ fkCycleStrategy: 'rebuild' });
+    stubCycleSchema(migrator);
+    const config = loadMigrationConfig(dir, {});
+    config.output.sqlFile = path.join(dir, 'migration.sql');
+    await migrator.generateSQLFile(config.output.sqlFile);
+
+    useFakeD1Env();
+    const d1 = createFakeD1();
+    t.after(() => d1.restore());
+    await migrateSQLiteToD1(config);
+
+    assert.strictEqual(foreignKeyCount(d1.db), 2);
+    assert.strictEqual(d1.db.prepare('SELECT COUNT(*) FROM "authors"').pluck().get(), 2);
+    const rebuilds = d1.requests.filter(request => request.sql.includes('__fk_rebuild'));
+    assert.strictEqual(rebuilds.length, 1);
+    assert.match(rebuilds[0].sql, /^PRAGMA defer_foreign_keys = ON;/);
+});
+
+test('a composite primary key becomes a table constraint and composite foreign keys stay grouped', () => {
+    const migrator = createMigrator();
+    const lines = {
+        columns: [
+            column('order_id', 'int', { Null: 'NO', Key: 'PRI' }),
+            column('line_no', 'int', { Null: 'NO', Key: 'PRI', Extra: 'auto_increment' }),
+            column('sku', 'varchar(20)')
+        ],
+        primaryKey: ['order_id', 'line_no'],
+        foreignKeys: [],
+        indexes: []
+    };
+    const shipments = {
+        columns: [column('id', 'int', { Null: 'NO', Key: 'PRI' }), column('order_id', 'int'), column('line_no', 'int')],
+        primaryKey: ['id'],
+        foreignKeys: [{ name: 'shipments_line', columns: ['order_id', 'line_no'], refTable: 'order_lines', refColumns: ['order_id', 'line_no'], onDelete: 'CASCADE', onUpdate: 'NO ACTION' }],
+        indexes: []
+    };
+
+    const db = new Database(':memory:');
+    db.exec(migrator.buildCreateTableSQL('order_lines', lines));
+    db.exec(migrator.buildCreateTableSQL('shipments', shipments));
+
+    const primaryKey = db.prepare(`SELECT name FROM pragma_table_info('order_lines') WHERE pk > 0 ORDER BY pk`).pluck().all();
+    assert.deepStrictEqual(primaryKey, ['order_id', 'line_no']);
+    const foreignKey = db.prepare(`SELECT id, "from", "to" FROM pragma_foreign_key_list('shipments') ORDER BY seq`).all();
+    assert.deepStrictEqual(foreignKey, [{ id: 0, from: 'order_id', to: 'order_id' }, { id: 0, from: 'line_no', to: 'line_no' }]);
+    assert.ok(migrator.warnings.some(warning => warning.includes('auto_increment on "order_lines"."line_no" dropped')));
+
+    db.exec(`INSERT INTO "order_lines" VALUES (1, 1, 'a'), (1, 2, 'b')`);
+    assert.throws(() => db.exec(`INSERT INTO "order_lines" VALUES (1, 2, 'c')`), /UNIQUE constraint failed/);
+});
+
+test('the export fails when a table\'s rows can\'t be read to the end', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator();
+    stubCycleSchema(migrator);
+    migrator.readTableRows = async function* (name) {
+        yield [{ id: 1, favorite_book_id: 10 }];
+        throw new Error(`connection lost while reading ${name}`);
+    };
+
+    await assert.rejects(migrator.generateSQLFile(path.join(dir, 'migration.sql')), /connection lost while reading authors/);
+});
+
+// The statements of a generated SQL file, without comments and pragmas
+function readStatements(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line && !/^(--|PRAGMA)/.test(line));
+}
+
+test('multi-row inserts are capped by rows and bytes and a wide row gets its own insert', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator({ multiRowInsert: true, insertMaxRows: 3, insertMaxBytes: 200 });
+    const rows = [1, 2, 3, 4, 5].map(id => ({ id, note: `row ${id}` }));
+    rows.splice(2, 0, { id: 99, note: 'x'.repeat(300) });
+    stubSchema(migrator, { notes: { columns: [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('note', 'text')], rows } });
+
+    const file = path.join(dir, 'migration.sql');
+    await migrator.generateSQLFile(file);
+
+    const inserts = readStatements(file).filter(statement => statement.startsWith('INSERT'));
+    const tupleCounts = inserts.map(statement => statement.split('), (').length);
+    assert.deepStrictEqual(tupleCounts, [2, 1, 3]);
+    assert.ok(inserts[1].includes('x'.repeat(300)));
+    for (const statement of [inserts[0], inserts[2]]) {
+        assert.ok(Buffer.byteLength(statement) <= 200);
+    }
+
+    const db = new Database(':memory:');
+    db.exec(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(db.prepare('SELECT "id" FROM "notes" ORDER BY "id"').pluck().all(), [1, 2, 3, 4, 5, 99]);
+});
+
+test('views are created after the tables, in dependency order, and untranslatable ones are reported', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator();
+    const orders = {
+        columns: [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('note', 'varchar(20)'), column('total', 'int')],
+        rows: [{ id: 1, note: 'a', total: 5 }, { id: 2, note: null, total: 50 }, { id: 3, note: 'c', total: 7 }, { id: 4, note: 'd', total: 8 }]
+    };
+    // As information_schema.VIEWS shows them; order_summary selects from recent_orders
+    const views = [
+        { name: 'order_hashes', definition: 'select sha2(`shop`.`orders`.`note`,256) AS `hash` from `shop`.`orders`' },
+        { name: 'order_summary', definition: "select `recent_orders`.`id` AS `id`,concat(`recent_orders`.`label`,'/',`recent_orders`.`size`) AS `summary` from `shop`.`recent_orders`" },
+        { name: 'private_orders', definition: null },
+        { name: 'recent_orders', definition: "select `shop`.`orders`.`id` AS `id`,ifnull(`shop`.`orders`.`note`,'none') AS `label`,if((`shop`.`orders`.`total` > 10),'big','small') AS `size` from `shop`.`orders` order by `shop`.`orders`.`id` limit 1,2" }
+    ];
+    stubSchema(migrator, { orders }, views);
+
+    const file = path.join(dir, 'migration.sql');
+    await migrator.generateSQLFile(file);
+
+    const sql = fs.readFileSync(file, 'utf8');
+    assert.ok(sql.indexOf('CREATE VIEW IF NOT EXISTS "recent_orders"') < sql.indexOf('CREATE VIEW IF NOT EXISTS "order_summary"'));
+    assert.match(sql, /-- MANUAL REVIEW: view "order_hashes" was not migrated \(no SQLite equivalent for SHA2\(\)\)/);
+    assert.match(sql, /-- MANUAL REVIEW: view "private_orders" was not migrated \(definition is not readable/);
+
+    const db = new Database(':memory:');
+    db.exec(sql);
+    assert.deepStrictEqual(db.prepare('SELECT * FROM "order_summary"').all(), [{ id: 2, summary: 'none/big' }, { id: 3, summary: 'c/small' }]);
+    const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).pluck().all();
+    assert.deepStrictEqual(tables, ['orders']);
+});
+
+test('ENUM and SET columns only accept their listed values', () => {
+    const migrator = createMigrator();
+    const tableInfo = {
+        columns: [
+            column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+            column('status', "enum('new','it''s done')"),
+            column('tags', "set('a','b')")
+        ],
+        primaryKey: ['id'],
+        foreignKeys: [],
+        indexes: []
+    };
+    const db = new Database(':memory:');
+    db.exec(migrator.buildCreateTableSQL('tickets', tableInfo));
+    const insert = db.prepare('INSERT INTO "tickets" ("status", "tags") VALUES (?, ?)');
+
+    for (const [status, tags] of [['new', 'a'], ["it's done", 'a,b'], [null, ''], ['new', null]]) {
+        insert.run(status, tags);
+    }
+    for (const [status, tags] of [['NEW', 'a'], ['', 'a'], ['new', 'c'], ['new', 'a,,b'], ['new', 'a,c']]) {
+        assert.throws(() => insert.run(status, tags), /CHECK constraint failed/, `${status} / ${tags}`);
+    }
+});
+
+test('ENUM columns with rows outside the list, or opted out, get no CHECK', async () => {
+    const migrator = createMigrator({ skipEnumChecks: ['tickets.priority'] });
+    const queries = [];
+    stubConnection(migrator, async (sql) => {
+        queries.push(sql);
+        return [{ value: '', count: 3 }];
+    });
+    const columns = [
+        column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+        column('status', "enum('new','done')"),
+        column('priority', "enum('low','high')")
+    ];
+
+    const unchecked = await migrator.findEnumViolations('tickets', columns);
+    assert.deepStrictEqual([...unchecked].sort(), ['priority', 'status']);
+    assert.strictEqual(queries.length, 1);
+    assert.ok(migrator.warnings.some(warning => warning.startsWith('3 rows in "tickets"."status" hold values outside the ENUM')));
+
+    const sql = migrator.buildCreateTableSQL('tickets', { columns, primaryKey: ['id'], foreignKeys: [], indexes: [], uncheckedColumns: unchecked });
+    assert.doesNotMatch(sql, /CHECK/);
+});
+
+const AWKWARD_STRINGS = [
+    'line one\nline two',
+    'crlf\r\nand\ttab',
+    "it's a 'quote'",
+    'back\\slash \\n stays',
+    'nul \0 byte',
+    '\x01\x1f\x7f',
+    'emoji \u{1F600} and é',
+    ''
+];
+
+test('string literals round-trip exactly through SQLite and stay on one line', () => {
+    const migrator = createMigrator();
+    const db = new Database(':memory:');
+    for (const value of AWKWARD_STRINGS) {
+        const literal = migrator.escapeForSQLite(value);
+        assert.doesNotMatch(literal, /[\r\n]/);
+        const stored = db.prepare(`SELECT CAST(${literal} AS BLOB)`).pluck().get();
+        assert.ok(stored.equals(Buffer.from(value, 'utf8')), JSON.stringify(value));
+    }
+});
+
+test('the round-trip check compares sampled rows byte for byte', async () => {
+    const migrator = createMigrator();
+    const columns = [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('body', 'text')];
+    const rows = AWKWARD_STRINGS.map((body, i) => ({ id: i + 1, body }));
+    const db = new Database(':memory:');
+    db.exec(migrator.buildCreateTableSQL('pages', { columns, primaryKey: ['id'], foreignKeys: [], indexes: [] }));
+    for (const row of rows) {
+        db.exec(migrator.buildInsertStatement('pages', row, columns));
+    }
+
+    migrator.getTableNames = async () => ['pages'];
+    migrator.getTableSchema = async () => columns;
+    migrator.getPrimaryKey = async () => ['id'];
+    stubConnection(migrator, async () => rows);
+
+    const clean = await migrator.verifyRoundTrip(db);
+    assert.deepStrictEqual({ rows: clean.rows, values: clean.values, mismatches: clean.mismatches }, { rows: 8, values: 16, mismatches: [] });
+
+    db.exec(`UPDATE "pages" SET "body" = 'line one\\nline two' WHERE "id" = 1`);
+    const changed = await migrator.verifyRoundTrip(db);
+    assert.deepStrictEqual(changed.mismatches.map(({ key, column }) => ({ key, column })), [{ key: 'id=1', column: 'body' }]);
+});
+
+test('binary values are written as blob literals and opted-in binary(16) columns as UUID text', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator({ binaryUuidColumns: ['files.uuid'] });
+    const uuid = Buffer.from('0f1e2d3c4b5a69788796a5b4c3d2e1f0', 'hex');
+    const data = Buffer.from([0x00, 0xff, 0x27, 0x0a, 0xc3, 0x28]);
+    stubSchema(migrator, {
+        files: {
+            columns: [
+                column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+                column('uuid', 'binary(16)'),
+                column('digest', 'binary(16)'),
+                column('data', 'longblob')
+            ],
+            rows: [{ id: 1, uuid, digest: uuid, data }]
+        }
+    });
+
+    const file = path.join(dir, 'migration.sql');
+    await migrator.generateSQLFile(file);
+    assert.strictEqual(await migrator.validateGeneratedSQL(), true);
+
+    const db = new Database(':memory:');
+    db.exec(fs.readFileSync(file, 'utf8'));
+    const row = db.prepare('SELECT "uuid", typeof("digest") AS "digestType", "digest", "data" FROM "files"').get();
+    assert.strictEqual(row.uuid, '0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0');
+    assert.strictEqual(row.digestType, 'blob');
+    assert.ok(row.digest.equals(uuid));
+    assert.ok(row.data.equals(data));
+});
+
+test('SQL validation flags text that is not valid UTF-8', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator();
+
+    migrator.sqliteFile = path.join(dir, 'invalid.sql');
+    fs.writeFileSync(migrator.sqliteFile, Buffer.concat([Buffer.from(`INSERT INTO "t" ("a") VALUES ('`), Buffer.from([0xc3, 0x28]), Buffer.from(`');\n`)]));
+    assert.strictEqual(await migrator.validateGeneratedSQL(), false);
+
+    migrator.sqliteFile = path.join(dir, 'replaced.sql');
+    fs.writeFileSync(migrator.sqliteFile, `INSERT INTO "t" ("a") VALUES ('caf\uFFFD');\n`);
+    assert.strictEqual(await migrator.validateGeneratedSQL(), false);
+});
+
+test('DECIMAL storage and BIGINT values stay exact and the round-trip check flags drift', async (t) => {
+    const columns = [
+        column('id', 'bigint', { Key: 'PRI', Null: 'NO' }),
+        column('price', 'decimal(12,2)')
+    ];
+    // mysql2 returns DECIMAL as strings and, with supportBigNumbers, BIGINT beyond 2^53 too
+    const rows = [
+        { id: '9007199254740993', price: '0.10' },
+        { id: '-9223372036854775808', price: '9999999999.99' },
+        { id: 7, price: '-0.05' }
+    ];
+    const expected = {
+        text: ['9999999999.99', '-0.05', '0.10'],
+        integer: [999999999999n, -5n, 10n]
+    };
+
+    for (const decimalStorage of ['text', 'integer']) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const migrator = createMigrator({ decimalStorage });
+        stubSchema(migrator, { prices: { columns, rows } });
+
+        const file = path.join(dir, 'migration.sql');
+        await migrator.generateSQLFile(file);
+        const db = new Database(':memory:');
+        db.exec(fs.readFileSync(file, 'utf8'));
+
+        const stored = db.prepare('SELECT "id", "price" FROM "prices" ORDER BY "id"').safeIntegers().all();
+        assert.deepStrictEqual(stored.map(row => row.id), [-9223372036854775808n, 7n, 9007199254740993n]);
+        assert.deepStrictEqual(stored.map(row => row.price), expected[decimalStorage]);
+
+        migrator.getTableSchema = async () => columns;
+        migrator.getPrimaryKey = async () => ['id'];
+        stubConnection(migrator, async () => rows);
+        assert.deepStrictEqual((await migrator.verifyRoundTrip(db)).mismatches, []);
+
+        db.exec(`UPDATE "prices" SET "price" = 0.1 WHERE "id" = 7`);
+        const { mismatches } = await migrator.verifyRoundTrip(db);
+        assert.deepStrictEqual(mismatches.map(({ key, column }) => ({ key, column })), [{ key: 'id=7', column: 'price' }], decimalStorage);
+    }
+});
+
+test('temporal values are written in the configured zones and formats, whatever the local zone', (t) => {
+    const localZone = process.env.TZ;
+    process.env.TZ = 'Asia/Kolkata';
+    t.after(() => {
+        if (localZone === undefined) delete process.env.TZ;
+        else process.env.TZ = localZone;
+    });
+    const timestamp = column('created_at', 'timestamp(6)');
+    const datetime = column('starts_at', 'datetime(3)');
+    const date = column('day', 'date');
+    const zones = { connectionTimezone: '+02:00', outputTimezone: '-05:00', datetimeTimezone: '+01:00' };
+    const format = (dateFormats, col, value) => createMigrator({ ...zones, dateFormats }).formatMySQLDateTime(value, col, 'events');
+
+    // TIMESTAMP is an instant read in the connection zone (10:30 UTC)
+    assert.strictEqual(format({}, timestamp, '2024-03-10 12:30:00.123456'), "'2024-03-10 05:30:00.123456'");
+    assert.strictEqual(format({ timestamp: 'iso' }, timestamp, '2024-03-10 12:30:00.123456'), "'2024-03-10T10:30:00.123456Z'");
+    assert.strictEqual(format({ timestamp: 'epoch' }, timestamp, '2024-03-10 12:30:00'), String(Date.UTC(2024, 2, 10, 10, 30) / 1000));
+
+    // DATETIME is wall-clock time, only converted for 'iso' and 'epoch'
+    assert.strictEqual(format({}, datetime, '2024-03-10 12:30:00.500'), "'2024-03-10 12:30:00.500'");
+    assert.strictEqual(format({ datetime: 'iso' }, datetime, '2024-03-10 12:30:00.500'), "'2024-03-10T11:30:00.500Z'");
+    assert.strictEqual(format({ datetime: 'epoch' }, datetime, '2024-03-10 12:30:00'), String(Date.UTC(2024, 2, 10, 11, 30) / 1000));
+
+    assert.strictEqual(format({ date: 'iso' }, date, '2024-03-10'), "'2024-03-10'");
+});
+
+test('zero and invalid dates follow the zero date policy in rows and defaults and are counted', async (t) => {
+    const columns = [
+        column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+        column('created_at', 'datetime', { Default: '0000-00-00 00:00:00' }),
+        column('day', 'date')
+    ];
+    const rows = [{ id: 1, created_at: '0000-00-00 00:00:00', day: '2024-02-30' }, { id: 2, created_at: '2024-01-01 08:00:00', day: '2024-01-02' }];
+    const expected = {
+        keep: { zeroRow: ['0000-00-00 00:00:00', '2024-02-30'], defaultValue: '0000-00-00 00:00:00' },
+        null: { zeroRow: [null, null], defaultValue: null },
+        sentinel: { zeroRow: ['1970-01-01 00:00:00', '1970-01-01'], defaultValue: '1970-01-01 00:00:00' }
+    };
+
+    for (const [zeroDatePolicy, { zeroRow, defaultValue }] of Object.entries(expected)) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const migrator = createMigrator({ zeroDatePolicy });
+        stubSchema(migrator, { events: { columns, rows } });
+
+        const file = path.join(dir, 'migration.sql');
+        await migrator.generateSQLFile(file);
+        const sql = fs.readFileSync(file, 'utf8');
+        assert.ok(sql.includes(`-- Zero or invalid dates (policy ${zeroDatePolicy}): "events" 2`), zeroDatePolicy);
+
+        const db = new Database(':memory:');
+        db.exec(sql);
+        db.exec('INSERT INTO "events" ("id") VALUES (3)');
+        const stored = db.prepare('SELECT "created_at", "day" FROM "events" ORDER BY "id"').raw().all();
+        assert.deepStrictEqual(stored, [zeroRow, ['2024-01-01 08:00:00', '2024-01-02'], [defaultValue, null]], zeroDatePolicy);
+    }
+});
+
+test('NOT NULL date columns holding zero dates accept NULL under the null policy', async () => {
+    const migrator = createMigrator({ zeroDatePolicy: 'null' });
+    stubConnection(migrator, async sql => (sql.includes('`updated_at`') ? [{ found: 1 }] : []));
+    const columns = [
+        column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+        column('created_at', 'datetime', { Null: 'NO', Default: '0000-00-00 00:00:00' }),
+        column('updated_at', 'datetime', { Null: 'NO' }),
+        column('deleted_at', 'datetime', { Null: 'NO' })
+    ];
+
+    const nullable = await migrator.findZeroDateColumns('events', columns);
+    assert.deepStrictEqual([...nullable].sort(), ['created_at', 'updated_at']);
+});
+
+test('generated columns and CHECK constraints are translated and generated values are not inserted', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const migrator = createMigrator();
+    // Expressions as information_schema shows them, quotes backslash-escaped
+    stubConnection(migrator, async sql => {
+        if (sql.includes('GENERATION_EXPRESSION')) {
+            return [
+                { COLUMN_NAME: 'full_name', GENERATION_EXPRESSION: "concat(`first`,_utf8mb4\\' \\',`last`)", EXTRA: 'VIRTUAL GENERATED' },
+                { COLUMN_NAME: 'email_domain', GENERATION_EXPRESSION: "lower(substring_index(`email`,_utf8mb4\\'@\\',-(1)))", EXTRA: 'STORED GENERATED' },
+                { COLUMN_NAME: 'is_adult', GENERATION_EXPRESSION: '(if((`age` >= 18),1,0))', EXTRA: 'STORED GENERATED' }
+            ];
+        }
+        return [
+            { CONSTRAINT_NAME: 'people_age', CHECK_CLAUSE: '(`age` between 0 and 150)' },
+            { CONSTRAINT_NAME: 'people_email', CHECK_CLAUSE: "regexp_like(`email`,_utf8mb4\\'^[^@]+@\\')" }
+        ];
+    });
+    const expressions = await migrator.readTableExpressions('people');
+    const columns = [
+        column('id', 'int', { Key: 'PRI', Null: 'NO' }),
+        column('first', 'varchar(20)'),
+        column('last', 'varchar(20)'),
+        column('email', 'varchar(50)'),
+        column('age', 'int'),
+        column('full_name', 'varchar(41)', { Extra: 'VIRTUAL GENERATED' }),
+        column('email_domain', 'varchar(50)', { Extra: 'STORED GENERATED' }),
+        column('is_adult', 'tinyint(1)', { Extra: 'STORED GENERATED' })
+    ];
+    const rows = [{ id: 1, first: 'Ada', last: 'Lovelace', email: 'ada@Example.org', age: 36, full_name: 'Ada Lovelace', email_domain: 'example.org', is_adult: 1 }];
+    stubSchema(migrator, { people: { columns, rows, ...expressions } });
+
+    const file = path.join(dir, 'migration.sql');
+    await migrator.generateSQLFile(file);
+    const sql = fs.readFileSync(file, 'utf8');
+    // An untranslatable generated column stays a plain column holding MySQL's values
+    assert.match(sql, /INSERT INTO "people" \("id", "first", "last", "email", "age", "email_domain"\) VALUES/);
+    assert.match(sql, /-- MANUAL REVIEW: generated column "people"\."email_domain" could not be translated/);
+    assert.match(sql, /-- MANUAL REVIEW: CHECK constraint "people_email" on "people" could not be translated/);
+
+    const db = new Database(':memory:');
+    db.exec(sql);
+    assert.deepStrictEqual(db.prepare('SELECT "full_name", "email_domain", "is_adult" FROM "people"').get(), { full_name: 'Ada Lovelace', email_domain: 'example.org', is_adult: 1 });
+    assert.throws(() => db.exec(`INSERT INTO "people" ("id", "age") VALUES (2, 200)`), /CHECK constraint failed/);
+});
+
+test('row filters narrow the SELECT and masking is applied before escaping and reported', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const config = loadMigrationConfig(__dirname, {});
+    config.rowFilters = { orders: { where: 'created_at >= NOW() - INTERVAL 90 DAY', limit: 1000 } };
+    config.masking = { customers: { email: 'keep-domain', id: 'pseudonym' }, orders: { customer_id: 'pseudonym' } };
+    const migrator = createMigrator({ config, maskingSecret: 'staging-secret' });
+    stubSchema(migrator, {
+        customers: {
+            columns: [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('email', 'varchar(100)')],
+            rows: []
+        },
+        orders: {
+            columns: [column('id', 'int', { Key: 'PRI', Null: 'NO' }), column('customer_id', 'int')],
+            rows: []
+        }
+    });
+    migrator.readTableRows = MySQLToSQLiteMigrator.prototype.readTableRows;
+    const queries = [];
+    stubConnection(migrator, async sql => {
+        queries.push(sql);
+        return sql.includes('`customers`')
+            ? [{ id: 1, email: "o'brien@example.org" }, { id: 2, email: null }]
+            : [{ id: 10, customer_id: 1 }];
+    });
+
+    const file = path.join(dir, 'migration.sql');
+    await migrator.generateSQLFile(file);
+
+    assert.deepStrictEqual(queries, [
+        'SELECT * FROM `customers`',
+        'SELECT * FROM `orders` WHERE (created_at >= NOW() - INTERVAL 90 DAY) ORDER BY `id` LIMIT 1000'
+    ]);
+    const sql = fs.readFileSync(file, 'utf8');
+    assert.doesNotMatch(sql, /o''brien/);
+    assert.match(sql, /-- Row filter "orders": WHERE created_at >= NOW\(\) - INTERVAL 90 DAY LIMIT 1000/);
+    assert.match(sql, /-- Masked "customers"\."email" with keep-domain: 1 values/);
+    assert.match(sql, /-- Masked "orders"\."customer_id" with pseudonym: 1 values/);
+
+    const db = new Database(':memory:');
+    db.exec(sql);
+    const joined = db.prepare('SELECT c."email" FROM "orders" o JOIN "customers" c ON c."id" = o."customer_id"').pluck().all();
+    assert.strictEqual(joined.length, 1);
+    assert.match(joined[0], /^user_[0-9a-f]{12}@example\.org$/);
+});
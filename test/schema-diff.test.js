@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { introspectStatements, introspectSchema, compareSchemas, formatChange, buildReconcileStatements } = require('../schema-diff');
+
+const TABLE = 'CREATE TABLE "t" ("a" INTEGER, "b" TEXT, "c" TEXT);';
+
+async function indexChanges(expectedIndex, actualIndex) {
+    const expected = await introspectStatements([TABLE, expectedIndex]);
+    const actual = await introspectStatements([TABLE, actualIndex]);
+    return compareSchemas(expected, actual).map(formatChange);
+}
+
+test('indexes that differ only in how their SQL is written are equal', async () => {
+    assert.deepStrictEqual(await indexChanges(
+        'CREATE INDEX "t_ab" ON "t" ("a", "b") WHERE "c" IS NOT NULL;',
+        'CREATE INDEX IF NOT EXISTS t_ab ON t(A,B)\n  WHERE "c" IS NOT NULL'
+    ), []);
+});
+
+test('index columns, order, uniqueness and partial WHERE are compared', async () => {
+    assert.deepStrictEqual(await indexChanges('CREATE INDEX "t_ab" ON "t" ("a", "b");', 'CREATE INDEX "t_ab" ON "t" ("b", "a");'),
+        ['~ "t" index "t_ab": columns (b, a) → (a, b)']);
+    assert.deepStrictEqual(await indexChanges('CREATE INDEX "t_ab" ON "t" ("a", "b" DESC);', 'CREATE INDEX "t_ab" ON "t" ("a", "b");'),
+        ['~ "t" index "t_ab": columns (a, b) → (a, b DESC)']);
+    assert.deepStrictEqual(await indexChanges('CREATE UNIQUE INDEX "t_ab" ON "t" ("a", "b");', 'CREATE INDEX "t_ab" ON "t" ("a", "b");'),
+        ['~ "t" index "t_ab": now unique']);
+    assert.deepStrictEqual(await indexChanges('CREATE INDEX "t_ab" ON "t" ("a", "b") WHERE "c" = \'x\';', 'CREATE INDEX "t_ab" ON "t" ("a", "b");'),
+        ['~ "t" index "t_ab": WHERE (none) → "c" = \'x\'']);
+});
+
+// D1 as test/fake-d1.js runs it: foreign keys on, the whole request in one transaction
+function applyAsD1(db, statements) {
+    db.exec('BEGIN');
+    try {
+        db.exec(statements.join('\n'));
+        db.exec('COMMIT');
+    } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+    }
+}
+
+test('the reconciling DDL rebuilds a referenced table without failing the deferred foreign key check', async () => {
+    const before = [
+        'CREATE TABLE "authors" ("id" INTEGER PRIMARY KEY, "name" TEXT, "born" TEXT);',
+        'CREATE TABLE "books" ("id" INTEGER PRIMARY KEY, "author_id" INTEGER REFERENCES "authors" ("id"), "title" TEXT);',
+        'CREATE INDEX "books_author" ON "books" ("author_id");',
+        'CREATE VIEW "titles" AS SELECT "books"."title", "authors"."name" FROM "books" JOIN "authors" ON "authors"."id" = "books"."author_id";'
+    ];
+    // "born" changes type and "books" gains a UNIQUE column, so both tables are rebuilt
+    const tables = [
+        { name: 'authors', sql: 'CREATE TABLE "authors" ("id" INTEGER PRIMARY KEY, "name" TEXT, "born" INTEGER)', columnDefinitions: new Map() },
+        {
+            name: 'books',
+            sql: 'CREATE TABLE "books" ("id" INTEGER PRIMARY KEY, "author_id" INTEGER REFERENCES "authors" ("id"), "title" TEXT, "isbn" TEXT UNIQUE)',
+            columnDefinitions: new Map([['isbn', '"isbn" TEXT UNIQUE']])
+        }
+    ];
+    const after = [...tables.map(table => table.sql), before[2], before[3]];
+
+    const db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    db.exec(before.join('\n'));
+    db.exec(`INSERT INTO "authors" VALUES (1, 'Ann', '1970'), (2, 'Bob', NULL);
+        INSERT INTO "books" VALUES (10, 1, 'First'), (11, 2, 'Second'), (12, 1, 'Third');`);
+
+    const expected = await introspectStatements(after);
+    const actual = await introspectSchema(sql => db.prepare(sql).all());
+    const { statements, notes } = buildReconcileStatements(compareSchemas(expected, actual), expected, actual, tables);
+    assert.deepStrictEqual(notes, []);
+    assert.strictEqual(statements[1], 'PRAGMA defer_foreign_keys = ON;');
+    assert.ok(!statements.some(statement => /PRAGMA foreign_keys|RENAME/.test(statement)));
+
+    applyAsD1(db, statements);
+
+    assert.deepStrictEqual(compareSchemas(expected, await introspectSchema(sql => db.prepare(sql).all())), []);
+    assert.deepStrictEqual(db.prepare('SELECT * FROM "authors" ORDER BY "id"').all(), [{ id: 1, name: 'Ann', born: 1970 }, { id: 2, name: 'Bob', born: null }]);
+    assert.deepStrictEqual(db.prepare('SELECT "name" FROM "titles" ORDER BY "title"').pluck().all(), ['Ann', 'Bob', 'Ann']);
+    assert.deepStrictEqual(db.pragma('foreign_key_check'), []);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitSQLStatements } = require('../sql-splitter');
+
+test('comment lines starting with # are dropped like -- comments', () => {
+    const sql = [
+        '# Dump of table users',
+        '  # ------------------------------------------------------------',
+        'CREATE TABLE "users" ("id" INTEGER PRIMARY KEY, "tag" TEXT);',
+        '-- rows',
+        '#;',
+        "INSERT INTO \"users\" VALUES (1, '# not a comment;');",
+        '/* done */'
+    ].join('\n');
+
+    assert.deepStrictEqual(splitSQLStatements(sql), [
+        'CREATE TABLE "users" ("id" INTEGER PRIMARY KEY, "tag" TEXT);',
+        "INSERT INTO \"users\" VALUES (1, '# not a comment;');"
+    ]);
+});
+
+test('a # inside a line is part of the statement', () => {
+    assert.deepStrictEqual(splitSQLStatements('SELECT 1 # 2;\nSELECT "#x";'), ['SELECT 1 # 2;', 'SELECT "#x";']);
+});
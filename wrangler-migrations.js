@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// Wrangler migrations: writes the MySQL export as a migrations/ directory that
+// `wrangler d1 migrations apply` can track. The first run writes the initial schema,
+// numbered data seed files and the index/trigger migration. Later runs replay the
+// existing schema migrations, compare the result with MySQL and write only the next
+// NNNN_schema_changes.sql needed to catch up.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { MySQLToSQLiteMigrator, parseMySQLUrl, migratorOptionsFromEnv } = require('./mysql-to-sqlite');
+const { loadMigrationConfig } = require('./migration-config');
+const { readExpectedSchema, introspectStatements, compareSchemas, buildReconcileStatements, formatChange } = require('./schema-diff');
+
+const MIGRATION_FILE = /^(\d{4,})_.+\.sql$/;
+const SEED_FILE = /^\d{4,}_seed_data_\d+\.sql$/;
+
+// Migration files of a directory in the order wrangler applies them
+function listMigrationFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => MIGRATION_FILE.test(name))
+        .sort((a, b) => parseInt(a.match(MIGRATION_FILE)[1], 10) - parseInt(b.match(MIGRATION_FILE)[1], 10));
+}
+
+function migrationFileName(number, name) {
+    return `${String(number).padStart(4, '0')}_${name}.sql`;
+}
+
+async function writeInitialMigrations(config, dir, { dryRun }) {
+    if (dryRun) {
+        console.log(`🔍 Dry run: would write ${migrationFileName(1, 'initial_schema')}, the seed data files and the index/trigger migration to ${dir}`);
+        return { files: [] };
+    }
+
+    const migrator = new MySQLToSQLiteMigrator(parseMySQLUrl(process.env.MYSQL_URL), { config, ...migratorOptionsFromEnv() });
+    try {
+        await migrator.connectToMySQL();
+        const files = await migrator.generateMigrationFiles(dir);
+        console.log(`✅ Wrote ${files.length} migrations to ${dir}`);
+        return { files };
+    } finally {
+        await migrator.disconnect();
+    }
+}
+
+// Seed files only insert rows, so the schema the directory leads to comes from replaying the rest
+async function writeCatchUpMigration(config, dir, existingFiles, { dryRun }) {
+    const schemaFiles = existingFiles.filter(name => !SEED_FILE.test(name));
+    console.log(`🔍 Replaying ${schemaFiles.length} schema migrations from ${dir}...`);
+    const actual = await introspectStatements(schemaFiles.map(name => fs.readFileSync(path.join(dir, name), 'utf8')));
+    console.log('🔍 Reading the schema MySQL would produce...');
+    const { statements: expectedStatements, schema: expected } = await readExpectedSchema(config);
+
+    const changes = compareSchemas(expected, actual);
+    if (changes.length === 0) {
+        console.log('✅ Migrations are up to date with MySQL');
+        return { files: [], changes };
+    }
+
+    console.log(`\n📋 ${changes.length} differences (+ only in MySQL, - only in the migrations, ~ changed):`);
+    changes.forEach(change => console.log(`   ${formatChange(change)}`));
+    const { statements, notes } = buildReconcileStatements(changes, expected, actual, expectedStatements.tables);
+    notes.forEach(note => console.warn(`⚠️ ${note}`));
+
+    const lastNumber = parseInt(existingFiles[existingFiles.length - 1].match(MIGRATION_FILE)[1], 10);
+    const fileName = migrationFileName(lastNumber + 1, 'schema_changes');
+    if (dryRun) {
+        console.log(`\n🔍 Dry run: would write ${statements.length} statements to ${fileName}`);
+        return { files: [], changes };
+    }
+
+    const sql = [
+        '-- Catch up with MySQL schema changes',
+        `-- Generated on: ${new Date().toISOString()}`,
+        ...changes.map(change => `-- ${formatChange(change)}`),
+        ...notes.map(note => `-- WARNING: ${note}`),
+        ...statements
+    ].join('\n') + '\n';
+    fs.writeFileSync(path.join(dir, fileName), sql);
+    console.log(`\n✅ Wrote ${statements.length} statements to ${path.join(dir, fileName)}`);
+    return { files: [fileName], changes };
+}
+
+// Write the migrations needed to bring the directory in line with MySQL. Returns
+// { files } with the names of the files written.
+async function generateWranglerMigrations(config, { dryRun = false } = {}) {
+    if (!process.env.MYSQL_URL) {
+        throw new Error('Missing environment variable: MYSQL_URL');
+    }
+    const dir = config.output.migrationsDir;
+    const existingFiles = listMigrationFiles(dir);
+
+    if (existingFiles.length === 0) {
+        return writeInitialMigrations(config, dir, { dryRun });
+    }
+    return writeCatchUpMigration(config, dir, existingFiles, { dryRun });
+}
+
+async function main() {
+    try {
+        await generateWranglerMigrations(loadMigrationConfig(), { dryRun: process.argv.includes('--dry-run') });
+    } catch (error) {
+        console.error('💥 Writing migrations failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = { generateWranglerMigrations, listMigrationFiles };